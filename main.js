@@ -1,14 +1,5 @@
-/* Twister simulator (client-only, Canvas 2D). Physics runs in world units scaled to pixels. */
-
-/* Utility */
-const TWO_PI = Math.PI * 2;
-const DEG_TO_RAD = Math.PI / 180;
-const FORK_ANGLE_RAD = 60 * DEG_TO_RAD;
-
-function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
-function randUnit() { return Math.random(); }
-function randRange(min, max) { return min + (max - min) * Math.random(); }
-function distance(a, b) { const dx = a.x - b.x; const dy = a.y - b.y; return Math.hypot(dx, dy); }
+/* Twister simulator UI (client-only, Canvas 2D). Drives the headless SimulationCore from sim-core.js
+ * and draws its world-unit state scaled to pixels. */
 
 // Minimal DOM cache to avoid repeated lookups
 const __domCache = new Map();
@@ -18,50 +9,34 @@ function el(id) {
   return node;
 }
 
-// Screen/world conversions (world normalized to arena radius)
-function toWorldNorm(sim, px, py) {
-  const cx = sim.width / 2, cy = sim.height / 2;
-  return {
-    x: (px - cx) / (sim.scale * ARENA_RADIUS_UNITS),
-    y: (py - cy) / (sim.scale * ARENA_RADIUS_UNITS),
-  };
+// World/URL conversions (URL positions are world units normalized to arena radius)
+function toWorldNorm(x, y) {
+  return { x: x / ARENA_RADIUS_UNITS, y: y / ARENA_RADIUS_UNITS };
 }
-function fromWorldNorm(sim, wx, wy) {
-  const cx = sim.width / 2, cy = sim.height / 2;
-  return {
-    x: cx + (wx * ARENA_RADIUS_UNITS) * sim.scale,
-    y: cy + (wy * ARENA_RADIUS_UNITS) * sim.scale,
-  };
+function fromWorldNorm(wx, wy) {
+  return { x: wx * ARENA_RADIUS_UNITS, y: wy * ARENA_RADIUS_UNITS };
 }
+// Debugging: log every registered hit and blocked contact to the console
+const LOG_HITS = false;
 const URL_UPDATE_MIN_INTERVAL_MS = 500;
+// Playback: frame length used by "Step Frame", and wall time spent simulating per frame at "Max" speed
+const STEP_FRAME_SEC = 1 / 60;
+const MAX_SPEED_BUDGET_MS = 12;
+// Replay playback rate for the "Max" speed setting (a replay has no physics to saturate)
+const REPLAY_MAX_SPEED = 50;
+// Timeline log length (most recent events at the playhead)
+const REPLAY_LOG_LINES = 12;
+// A/B split view rate for the "Max" speed setting (both sides advance the same sim time, so no wall-clock budget)
+const COMPARE_MAX_SPEED = 20;
 const __urlUpdate = { lastAt: 0, timer: null, pending: null };
+// Waypoint paths drawn on the canvas: the buttons and status line for each, and the colour they are drawn in
+const WAYPOINT_PATHS = {
+  boss: { drawBtn: 'drawPathBtn', clearBtn: 'clearPathBtn', status: 'pathStatus', rgb: '255, 107, 107' },
+  caster: { drawBtn: 'drawCasterPathBtn', clearBtn: 'clearCasterPathBtn', status: 'casterPathStatus', rgb: '74, 163, 255' },
+};
+// Where a new add is placed relative to the boss (world units); further angles are tried if it lands outside
+const ADD_SPAWN_OFFSET_UNITS = 25;
 
-function buildURLState(sim) {
-  const casterW = toWorldNorm(sim, sim.caster.x, sim.caster.y);
-  const bossW = toWorldNorm(sim, sim.boss.x, sim.boss.y);
-  return {
-    a: sim.config.arenaType,
-    ah: sim.config.avgHit,
-    ps: sim.config.projSpeedMod,
-    d: sim.config.duration,
-    pc: sim.config.projectileCount,
-    cs: sim.config.castSpeed,
-    shape: sim.config.castShape,
-    pr: sim.config.pierceCount,
-    fk: sim.config.forkTimes,
-    fc: sim.config.forkChance,
-    ch: sim.config.chainCount,
-    sp: sim.config.splitCount,
-    er: sim.config.bossRadius,
-    ts: sim.metrics.windowSec,
-    bc: sim.config.barrageCount,
-    bti: sim.config.barrageTimeInterval,
-    tbr: sim.config.timeBetweenBarrageRepeats,
-    ss: sim.config.salvoSupport ? 1 : 0,
-    cxu: casterW.x, cyu: casterW.y,
-    bxu: bossW.x, byu: bossW.y,
-  };
-}
 function throttledWriteURL(state) {
   __urlUpdate.pending = state;
   if (__urlUpdate.timer != null) return;
@@ -82,6 +57,29 @@ function throttledWriteURL(state) {
 
 function updateURL(sim) { throttledWriteURL(buildURLState(sim)); }
 
+// Hit groups one full cast should create under the selected hit-group policy (see SimulationCore.hitGroup)
+function expectedHitGroupsPerCast(cfg, sealCount) {
+  const parts = HIT_GROUP_POLICIES[cfg.hitGroupPolicy] || {
+    repeat: cfg.hitGroupByRepeat, seal: cfg.hitGroupBySeal, projectile: cfg.hitGroupByProjectile,
+  };
+  let perEmission = 1;
+  if (parts.projectile) perEmission = 1 + (cfg.whirlwindStages || 0) + 2 * sealCount;
+  else if (parts.seal) perEmission = 1 + sealCount;
+  return perEmission * (parts.repeat ? cfg.barrageCount + 1 : 1);
+}
+
+// "-6,-3; 6,-3; 0,4" -> [{x, y}, ...]; pairs that aren't two numbers are skipped
+function parsePolygon(text) {
+  return String(text).split(';').map(t => t.split(',').map(v => Number(v.trim())))
+    .filter(p => p.length === 2 && p.every(v => Number.isFinite(v)))
+    .map(([x, y]) => ({ x, y }));
+}
+
+// "66, 33" -> [66, 33]: life thresholds in percent, anything outside (0, 100) dropped
+function parsePhaseThresholds(text) {
+  return String(text).split(/[\s,;]+/).map(Number).filter(v => Number.isFinite(v) && v > 0 && v < 100);
+}
+
 // Human-readable short number formatting (compact, trims trailing zeros)
 function formatShortNumber(value, preferDecimals = 1) {
   const abs = Math.abs(value);
@@ -108,116 +106,338 @@ function formatShortNumber(value, preferDecimals = 1) {
   return sign + rounded;
 }
 
-// URL helpers: serialize/deserialize UI + positions for deep links
-function parseURLParams() {
-  const p = new URLSearchParams(window.location.search);
-  const num = (k) => (p.has(k) ? Number(p.get(k)) : undefined);
-  const str = (k) => (p.has(k) ? p.get(k) : undefined);
-  const out = {
-    a: str('a'), // arenaType (short code)
-    ah: num('ah'), // avgHit
-    ps: num('ps'), // projSpeed
-    d: num('d'), // duration
-    pc: num('pc'), // projectileCount
-    cs: num('cs'), // castSpeed
-    shape: str('shape'), // castShape (short code)
-    pr: num('pr'), // pierceCount
-    fk: num('fk'), // forkTimes
-    fc: num('fc'), // forkChance
-    ch: num('ch'), // chainCount
-    sp: num('sp'), // splitCount
-    bc: num('bc'), // barrageCount
-    bti: num('bti'), // barrageTimeInterval
-    tbr: num('tbr'), // timeBetweenBarrageRepeats
-    er: num('er'), // bossRadius
-    ts: num('ts'), // chart window (seconds)
-    // Positions: support both canvas-normalized (0..1) and world-normalized (relative to arena radius)
-    cx: num('cx'), cy: num('cy'), // legacy canvas-normalized positions
-    bx: num('bx'), by: num('by'),
-    cxu: num('cxu'), cyu: num('cyu'), // world-normalized positions (relative to ARENA_RADIUS_UNITS)
-    bxu: num('bxu'), byu: num('byu'),
-  };
-  return out;
+// Save text (or a Blob) as a file through a temporary object URL
+function downloadFile(filename, data, mime = 'application/json') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-function applyParamsToDOM(params) {
-  const setIf = (id, v) => { 
-    const elem = el(id);
-    if (elem && v !== undefined && !Number.isNaN(v)) elem.value = String(v); 
-  };
-  const setSelIf = (id, v) => { 
-    const elem = el(id);
-    if (elem && v !== undefined) elem.value = v; 
+// Scenario library: saved setups in localStorage, exported and imported as versioned JSON files
+const SCENARIO_STORAGE_KEY = 'twisterScenarios';
+const SCENARIO_FORMAT = 'twister-scenarios';
+const SCENARIO_VERSION = 1;
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// A stored or imported scenario: a name, a config object and world-unit caster/boss positions
+function isScenario(s) {
+  const point = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+  return !!s && typeof s.name === 'string' && !!s.config && typeof s.config === 'object' &&
+    !!s.positions && point(s.positions.caster) && point(s.positions.boss) &&
+    (s.positions.adds === undefined || (Array.isArray(s.positions.adds) && s.positions.adds.every(point)));
+}
+
+function loadScenarioLibrary() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(isScenario) : [];
+  } catch (err) {
+    console.warn('Could not read saved scenarios:', err);
+    return [];
+  }
+}
+
+function saveScenarioLibrary(list) {
+  localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(list));
+}
+
+// "name", or "name (2)", "name (3)", ... when the library already has it
+function uniqueScenarioName(list, name) {
+  if (!list.some(s => s.name === name)) return name;
+  const base = name.replace(/ \(\d+\)$/, '');
+  let n = 2;
+  while (list.some(s => s.name === `${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+function parseScenarioFile(data) {
+  if (!data || data.format !== SCENARIO_FORMAT || !Array.isArray(data.scenarios)) throw new Error('Not a Twister scenario file');
+  if (data.version > SCENARIO_VERSION) throw new Error(`Scenario file version ${data.version} is newer than this page supports`);
+  const scenarios = data.scenarios.filter(isScenario);
+  if (!scenarios.length) throw new Error('The file has no valid scenarios');
+  return scenarios;
+}
+
+// Inverse of readConfigFromDOM for a stored config: keys are the input ids, except the ones mapped here.
+// Only DEFAULT_CONFIG's fields are written, and only values of the same type as the default, so an imported
+// file can't fill other elements or put an object into a number field. Waypoints and the barrage timing
+// table are page state, restored by the caller.
+function applyConfigToDOM(config) {
+  const ids = { increasedProjSpeed: 'projSpeedMod' };
+  const text = {
+    bossPhases: (v) => v.join(', '),
+    bossPolygon: (v) => v.map(p => `${p.x},${p.y}`).join('; '),
   };
-  const setCheckbox = (id, v) => {
-    const elem = el(id);
-    if (elem && v !== undefined) elem.checked = v === 1 || v === true || v === 'true';
+  const sameType = (v, d) => typeof v === typeof d && Array.isArray(v) === Array.isArray(d);
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const value = config[key];
+    const elem = el(ids[key] || key);
+    if (!elem || !sameType(value, DEFAULT_CONFIG[key])) continue;
+    if (elem.type === 'checkbox') elem.checked = value;
+    else if (text[key]) elem.value = text[key](value);
+    else if (typeof value !== 'object') elem.value = String(value);
+  }
+}
+
+// Run log CSV tables: [column, record field] per table; the JSON export has the same records
+const RUN_LOG_TABLES = {
+  samples: [['t', 't'], ['hits_total', 'hitsTotal'], ['hit_rate', 'hitsPerSec'], ['dps', 'dps'], ['nominal_dps', 'nominalDps'],
+    ['total_damage', 'totalDamage'], ['boss_life', 'bossLife'], ['seals', 'seals'], ['projectiles_alive', 'projAlive']],
+  casts: [['instance', 'instanceId'], ['t', 't'], ['completed_at', 'completedAt'], ['seals', 'seals'], ['projectiles', 'projectiles'],
+    ['hits', 'hits'], ['damage', 'damage'], ['hit_groups', 'groups']],
+  hits: [['t', 't'], ['instance', 'instanceId'], ['barrage_repeat', 'barrageRepeatIndex'], ['projectile', 'projectileId'],
+    ['target', 'target'], ['hit_group', 'group'], ['damage', 'damage'], ['crit', 'crit'], ['x', 'x'], ['y', 'y']],
+};
+
+// One run log table as CSV: numbers to 4 decimals, booleans as 1/0
+function runLogCsv(log, table) {
+  const columns = RUN_LOG_TABLES[table];
+  const lines = [columns.map(c => c[0]).join(',')];
+  for (const r of log[table]) {
+    lines.push(columns.map(([, key]) => {
+      const v = r[key];
+      if (typeof v === 'number') return +v.toFixed(4);
+      if (typeof v === 'boolean') return v ? 1 : 0;
+      return v;
+    }).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Heatmap metrics: cell field, legend label and number format
+const HEATMAP_METRICS = {
+  dps: { label: 'DPS', format: (v) => formatShortNumber(v, 1) },
+  hitRate: { label: 'Hit rate (/s)', format: (v) => v.toFixed(3) },
+  hitsPerCast: { label: 'Hits / cast', format: (v) => v.toFixed(2) },
+};
+// A/B split view: chart metrics (sample field -> label and number format) and the colour of each side
+const COMPARE_METRICS = {
+  dps: { label: 'DPS', format: (v) => formatShortNumber(v, 1) },
+  hitsPerSec: { label: 'Hit rate (/s)', format: (v) => v.toFixed(2) },
+  hitsTotal: { label: 'Hits (total)', format: (v) => formatShortNumber(v, 1) },
+  totalDamage: { label: 'Total damage', format: (v) => formatShortNumber(v, 1) },
+};
+const COMPARE_COLORS = { A: '#7cc5ff', B: '#ffd166' };
+// Low -> high colour stops (dark blue through magenta and orange to pale yellow)
+const HEATMAP_STOPS = [[13, 8, 135], [126, 3, 168], [204, 71, 120], [248, 149, 64], [240, 249, 33]];
+function heatmapColor(f, alpha = 1) {
+  const x = clamp(f, 0, 1) * (HEATMAP_STOPS.length - 1);
+  const i = Math.min(HEATMAP_STOPS.length - 2, Math.floor(x));
+  const t = x - i;
+  const [r, g, b] = HEATMAP_STOPS[i].map((c, k) => Math.round(c + (HEATMAP_STOPS[i + 1][k] - c) * t));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// URL state (version 2): one short key per config field, written only when it differs from DEFAULT_CONFIG
+// (which the page's inputs also start at), plus the placed positions and the chart window. `v` carries the
+// version; links without it are version 1 and go through migrateURLParamsV1 first.
+const URL_STATE_VERSION = 2;
+// Value codecs: config value <-> URL text; dec returns undefined for text it can't read
+const URL_CODECS = {
+  num: { enc: String, dec: (s) => (s.trim() !== '' && Number.isFinite(Number(s)) ? Number(s) : undefined) },
+  str: { enc: String, dec: (s) => s },
+  bool: { enc: (v) => (v ? '1' : '0'), dec: (s) => s === '1' || s === 'true' },
+  arena: { enc: encodeArena, dec: decodeArena },
+  shape: { enc: encodeShape, dec: decodeShape },
+  // bossPhases: "66,33"
+  percents: { enc: (v) => v.join(','), dec: parsePhaseThresholds },
+  // bossPolygon: "x,y;x,y" in units around the boss centre
+  points: { enc: (v) => v.map(p => `${p.x},${p.y}`).join(';'), dec: parsePolygon },
+  // Waypoints: "x,y;x,y" world-normalized (relative to the arena radius)
+  path: {
+    enc: (v) => v.map(p => formatWorldNorm(toWorldNorm(p.x, p.y))).join(';'),
+    dec: (s) => parsePolygon(s).map(p => fromWorldNorm(p.x, p.y)),
+  },
+  // barrageTimingTable: "count,window;count,window"
+  table: {
+    enc: (v) => v.map(r => `${r.count},${r.window}`).join(';'),
+    dec: (s) => parsePolygon(s).map(p => ({ count: p.x, window: p.y })),
+  },
+};
+// [URL key, config field, codec (default 'num')]; fork/split are fixed and the barrage window is derived
+// from the timing model, so those aren't stored
+const URL_STATE_KEYS = [
+  ['a', 'arenaType', 'arena'],
+  ['sd', 'seed'],
+  ['ah', 'avgHit'],
+  ['dmn', 'damageMin'],
+  ['dmx', 'damageMax'],
+  ['crc', 'critChance'],
+  ['crm', 'critMultiplier'],
+  ['phs', 'physicalShare'],
+  ['apn', 'armourPenetration'],
+  ['rpn', 'resistancePenetration'],
+  ['ear', 'enemyArmour'],
+  ['ers', 'enemyResistance'],
+  ['bl', 'bossLife'],
+  ['brg', 'bossRegen'],
+  ['bph', 'bossPhases', 'percents'],
+  ['bpd', 'bossPhaseDuration'],
+  ['ps', 'increasedProjSpeed'],
+  ['bps', 'baseProjSpeed'],
+  ['pc', 'projectileCount'],
+  ['ws', 'whirlwindStages'],
+  ['tr', 'twisterRadius'],
+  ['d', 'duration'],
+  ['pr', 'pierceCount'],
+  ['ch', 'chainCount'],
+  ['ms', 'maxSeals'],
+  ['ssc', 'salvoSealCount'],
+  ['bsg', 'baseSealGainFrequency'],
+  ['isg', 'increasedSealGainFrequency'],
+  ['ss', 'salvoSupport', 'bool'],
+  ['cmo', 'castMode', 'str'],
+  ['ci', 'castInterval'],
+  ['ct', 'castTime'],
+  ['cs', 'castSpeed'],
+  ['csh', 'castShape', 'shape'],
+  ['cca', 'coneAngle'],
+  ['bcd', 'barrageCooldown'],
+  ['bc', 'barrageCount'],
+  ['tbr', 'timeBetweenBarrageRepeats'],
+  ['bt', 'barrageTiming', 'str'],
+  ['btt', 'barrageTimingTable', 'table'],
+  ['er', 'bossRadius'],
+  ['bh', 'bossShape', 'str'],
+  ['bhl', 'bossLength'],
+  ['bhr', 'bossRotation'],
+  ['bhp', 'bossPolygon', 'points'],
+  ['bm', 'bossMovement', 'str'],
+  ['bsp', 'bossSpeed'],
+  ['bso', 'bossStandoff'],
+  ['bor', 'bossOrbitRadius'],
+  ['bdi', 'bossDashInterval'],
+  ['bdd', 'bossDashDistance'],
+  ['bds', 'bossDashSpeed'],
+  ['bp', 'bossPath', 'path'],
+  ['cm', 'casterMovement', 'str'],
+  ['csp', 'casterSpeed'],
+  ['cor', 'casterOrbitRadius'],
+  ['ckd', 'casterKiteDistance'],
+  ['cri', 'casterRollInterval'],
+  ['crd', 'casterRollDistance'],
+  ['crs', 'casterRollSpeed'],
+  ['cp', 'casterPath', 'path'],
+  ['st', 'steering', 'str'],
+  ['wl', 'wanderLambda'],
+  ['wss', 'wanderSigmaSmall'],
+  ['wsl', 'wanderSigmaLarge'],
+  ['wi', 'wanderIntensity'],
+  ['htr', 'homingTurnRate'],
+  ['rm', 'reflectionModel', 'str'],
+  ['rd', 'reflectionDeviation'],
+  ['rc', 'repeatsCopyReflection', 'bool'],
+  ['hg', 'hitGroupPolicy', 'str'],
+  ['hcd', 'hitCooldown'],
+];
+// Custom hit-group flags share one key: "rsp" for hitGroupByRepeat / BySeal / ByProjectile, e.g. "110"
+const URL_HIT_GROUP_FLAGS = ['hitGroupByRepeat', 'hitGroupBySeal', 'hitGroupByProjectile'];
+// Chart timescale the page starts with (the timeScale select's default)
+const URL_DEFAULT_WINDOW_SEC = 10;
+
+// World-normalized coordinates keep 5 decimals (trailing zeros trimmed)
+function formatWorldNorm(p) {
+  const f = (v) => v.toFixed(5).replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1');
+  return `${f(p.x)},${f(p.y)}`;
+}
+
+// What a link stores: the config, the placed (home) positions and the chart window
+function buildURLState(sim) {
+  return { config: sim.config, positions: sim.getPositions(), windowSec: sim.windowSec };
+}
+
+function encodeURLState(state) {
+  const p = new URLSearchParams();
+  p.set('v', String(URL_STATE_VERSION));
+  const cfg = state.config;
+  for (const [key, field, codec = 'num'] of URL_STATE_KEYS) {
+    if (cfg[field] === undefined || cfg[field] === null) continue;
+    const text = URL_CODECS[codec].enc(cfg[field]);
+    // The seed is always written: a link without one gets a fresh random seed
+    if (field === 'seed' || text !== URL_CODECS[codec].enc(DEFAULT_CONFIG[field])) p.set(key, text);
+  }
+  const flags = (c) => URL_HIT_GROUP_FLAGS.map(k => (c[k] ? '1' : '0')).join('');
+  if (flags(cfg) !== flags(DEFAULT_CONFIG)) p.set('hgc', flags(cfg));
+  const { caster, boss, adds } = state.positions;
+  p.set('c', formatWorldNorm(toWorldNorm(caster.x, caster.y)));
+  p.set('b', formatWorldNorm(toWorldNorm(boss.x, boss.y)));
+  if (adds && adds.length) {
+    p.set('ad', adds.map(a => `${formatWorldNorm(toWorldNorm(a.x, a.y))},${a.r}`).join(';'));
+  }
+  if (state.windowSec !== URL_DEFAULT_WINDOW_SEC) p.set('ts', String(state.windowSec));
+  return p.toString();
+}
+
+/**
+ * Version 1 links (no `v`) to version 2, in place. Version 1 wrote positions as separate world-normalized
+ * cxu/cyu/bxu/byu, and before that as cx/cy/bx/by normalized to the canvas (converted here with the current
+ * canvas `view` { width, height, scale }), and a few inputs were only read under their long names. Pierce
+ * and chain counts (pr, ch) keep their keys; those version 1 wrote for fixed values (fk, fc, sp), the derived
+ * barrage window (bti), `face`, and `shape` (always "c": it was written before the cast shape setting
+ * existed) are dropped as unknown.
+ */
+function migrateURLParamsV1(p, view) {
+  const longNames = {
+    baseProjSpeed: 'bps', twisterRadius: 'tr', maxSeals: 'ms', salvoSealCount: 'ssc',
+    baseSealGainFrequency: 'bsg', increasedSealGainFrequency: 'isg',
   };
-  setSelIf('arenaType', decodeArena(params.a));
-  setIf('avgHit', params.ah);
-  setIf('projSpeedMod', params.ps);
-  setIf('duration', params.d);
-  setIf('projectileCount', params.pc);
-  setIf('baseProjSpeed', params.baseProjSpeed);
-  setIf('baseSealGainFrequency', params.baseSealGainFrequency);
-  setIf('maxSeals', params.maxSeals);
-  setIf('salvoSealCount', params.salvoSealCount);
-  setIf('barrageCount', params.bc);
-  setIf('barrageTimeInterval', params.bti);
-  setIf('timeBetweenBarrageRepeats', params.tbr);
-  setIf('twisterRadius', params.twisterRadius);
-  setIf('increasedSealGainFrequency', params.increasedSealGainFrequency);
-  setIf('bossRadius', params.er);
-  setCheckbox('salvoSupport', params.ss);
-  const timeScaleElem = el('timeScale');
-  if (timeScaleElem && params.ts !== undefined && !Number.isNaN(params.ts)) timeScaleElem.value = String(params.ts);
-  return {
-    casterWorld: (params.cxu !== undefined && params.cyu !== undefined) ? { x: params.cxu, y: params.cyu } : undefined,
-    bossWorld: (params.bxu !== undefined && params.byu !== undefined) ? { x: params.bxu, y: params.byu } : undefined,
-    caster: (params.cx !== undefined && params.cy !== undefined) ? { x: clamp(params.cx, 0, 1), y: clamp(params.cy, 0, 1) } : undefined,
-    boss: (params.bx !== undefined && params.by !== undefined) ? { x: clamp(params.bx, 0, 1), y: clamp(params.by, 0, 1) } : undefined,
+  for (const [from, to] of Object.entries(longNames)) {
+    if (p.has(from) && !p.has(to)) p.set(to, p.get(from));
+  }
+  const num = (k) => (p.has(k) && p.get(k).trim() !== '' ? Number(p.get(k)) : NaN);
+  for (const who of ['c', 'b']) {
+    if (p.has(who)) continue;
+    let x = num(`${who}xu`), y = num(`${who}yu`);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      const cx = num(`${who}x`), cy = num(`${who}y`);
+      if (!Number.isFinite(cx) || !Number.isFinite(cy) || !view) continue;
+      const w = toWorldNorm((clamp(cx, 0, 1) - 0.5) * view.width / view.scale, (clamp(cy, 0, 1) - 0.5) * view.height / view.scale);
+      x = w.x; y = w.y;
+    }
+    p.set(who, formatWorldNorm({ x, y }));
+  }
+  return p;
+}
+
+/**
+ * Read a link's query string into { version, config, positions, windowSec } (world units; only what the
+ * link sets), or null when there is none. Older versions are migrated first; unknown keys are ignored.
+ */
+function decodeURLState(search, view) {
+  const p = new URLSearchParams(search);
+  if (![...p.keys()].length) return null;
+  const version = Number(p.get('v')) || 1;
+  if (version < 2) migrateURLParamsV1(p, view);
+  const config = {};
+  for (const [key, field, codec = 'num'] of URL_STATE_KEYS) {
+    if (!p.has(key)) continue;
+    const v = URL_CODECS[codec].dec(p.get(key));
+    if (v !== undefined) config[field] = v;
+  }
+  const hgc = p.get('hgc');
+  if (hgc && /^[01]{3}$/.test(hgc)) URL_HIT_GROUP_FLAGS.forEach((k, i) => { config[k] = hgc[i] === '1'; });
+  const point = (key) => {
+    const pts = p.has(key) ? parsePolygon(p.get(key)) : [];
+    return pts.length === 1 ? fromWorldNorm(pts[0].x, pts[0].y) : undefined;
   };
+  const adds = p.has('ad') ? p.get('ad').split(';').map(t => t.split(',').map(Number))
+    .filter(v => v.length === 3 && v.every(Number.isFinite))
+    .map(([x, y, r]) => ({ ...fromWorldNorm(x, y), r })) : undefined;
+  const ts = URL_CODECS.num.dec(p.get('ts') || '');
+  return { version, config, positions: { caster: point('c'), boss: point('b'), adds }, windowSec: ts };
 }
 
 function writeURLParams(state) {
-  const p = new URLSearchParams();
-  const set = (k, v) => { if (v !== undefined && v !== null && v !== '') p.set(k, String(v)); };
-  set('a', encodeArena(state.a));
-  set('ah', state.ah);
-  set('ps', state.ps);
-  set('d', state.d);
-  set('pc', state.pc);
-  set('cs', state.cs);
-  set('shape', encodeShape(state.shape));
-  set('face', state.face);
-  set('pr', state.pr);
-  set('fk', state.fk);
-  set('fc', state.fc);
-  set('ch', state.ch);
-  set('sp', state.sp);
-  set('bc', state.bc);
-  set('bti', state.bti);
-  set('tbr', state.tbr);
-  set('er', state.er);
-  set('ts', state.ts);
-  set('ss', state.ss);
-  const fmtN = (n) => (v) => {
-    const s = Number(v).toFixed(n);
-    return s.replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1');
-  };
-  const fmt3 = fmtN(3);
-  const fmt5 = fmtN(5);
-  if (state.cx !== undefined) set('cx', fmt3(state.cx));
-  if (state.cy !== undefined) set('cy', fmt3(state.cy));
-  if (state.bx !== undefined) set('bx', fmt3(state.bx));
-  if (state.by !== undefined) set('by', fmt3(state.by));
-  // Also persist world-normalized positions for cross-resolution stability (higher precision)
-  if (state.cxu !== undefined) set('cxu', fmt5(state.cxu));
-  if (state.cyu !== undefined) set('cyu', fmt5(state.cyu));
-  if (state.bxu !== undefined) set('bxu', fmt5(state.bxu));
-  if (state.byu !== undefined) set('byu', fmt5(state.byu));
-  const url = window.location.pathname + '?' + p.toString();
-  window.history.replaceState(null, '', url);
+  window.history.replaceState(null, '', window.location.pathname + '?' + encodeURLState(state));
 }
 
 // Short code encoders/decoders
@@ -233,1125 +453,1659 @@ function decodeArena(v) {
   return v || 'circle';
 }
 function encodeShape(v) {
-  if (v === 'cone' || v === 'n') return 'n';
-  return 'c'; // circular
+  if (v === 'circular' || v === 'c') return 'c';
+  if (v === 'spread' || v === 'f') return 'f';
+  if (v === 'parallel' || v === 'p') return 'p';
+  return 'n'; // cone
 }
 function decodeShape(v) {
-  if (v === 'n') return 'cone';
   if (v === 'c') return 'circular';
-  return v || 'circular';
-}
-
-// Returns earliest t in [0,1] for moving circle vs target circle (ray-circle intersection).
-function sweptCircleHitT(px, py, dx, dy, cx, cy, R) {
-  // Solve |(p + t d) - c|^2 = R^2 => (d·d) t^2 + 2 d·(p-c) t + |p-c|^2 - R^2 = 0
-  const mx = px - cx, my = py - cy;
-  const a = dx * dx + dy * dy;
-  const b = 2 * (dx * mx + dy * my);
-  const c = mx * mx + my * my - R * R;
-  // If starting already inside, treat as immediate hit
-  if (c <= 0) return 0;
-  if (a === 0) return null; // no movement
-  const disc = b * b - 4 * a * c;
-  if (disc < 0) return null;
-  const sqrt = Math.sqrt(disc);
-  const t1 = (-b - sqrt) / (2 * a);
-  const t2 = (-b + sqrt) / (2 * a);
-  // We need the smallest non-negative within [0,1]
-  let t = null;
-  if (t1 >= 0 && t1 <= 1) t = t1;
-  else if (t2 >= 0 && t2 <= 1) t = t2;
-  return t;
+  if (v === 'f') return 'spread';
+  if (v === 'p') return 'parallel';
+  if (v === 'n') return 'cone';
+  return v;
 }
 
-// Closest points between segments P0->P1 and Q0->Q1; used for CCD support.
-function closestPointsBetweenSegments(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
-  const ux = p1x - p0x, uy = p1y - p0y;
-  const vx = q1x - q0x, vy = q1y - q0y;
-  const wx = p0x - q0x, wy = p0y - q0y;
-  const a = ux * ux + uy * uy;      // |u|^2
-  const b = ux * vx + uy * vy;      // u·v
-  const c = vx * vx + vy * vy;      // |v|^2
-  const d = ux * wx + uy * wy;      // u·w
-  const e = vx * wx + vy * wy;      // v·w
-  const D = a * c - b * b;
-  let sc, sN, sD = D;
-  let tc, tN, tD = D;
-
-  const EPS = 1e-9;
-  if (D < EPS) {
-    // parallel
-    sN = 0.0; sD = 1.0; tN = e; tD = c;
-  } else {
-    sN = (b * e - c * d);
-    tN = (a * e - b * d);
-    if (sN < 0) { sN = 0; tN = e; tD = c; }
-    else if (sN > sD) { sN = sD; tN = e + b; tD = c; }
-  }
-
-  if (tN < 0) {
-    tN = 0;
-    if (-d < 0) sN = 0; else if (-d > a) sN = sD; else { sN = -d; sD = a; }
-  } else if (tN > tD) {
-    tN = tD;
-    if ((-d + b) < 0) sN = 0; else if ((-d + b) > a) sN = sD; else { sN = (-d + b); sD = a; }
-  }
-
-  sc = Math.abs(sD) < EPS ? 0 : sN / sD;
-  tc = Math.abs(tD) < EPS ? 0 : tN / tD;
-
-  const px = p0x + sc * ux, py = p0y + sc * uy;
-  const qx = q0x + tc * vx, qy = q0y + tc * vy;
-  const dx = px - qx, dy = py - qy;
-  return { sc, tc, px, py, qx, qy, dist: Math.hypot(dx, dy) };
+// Fit the arena diameter inside a canvas with margin; keep scale >= 0.5 to avoid extremes
+function arenaFitScale(width, height) {
+  const diameter = ARENA_RADIUS_UNITS * 2;
+  const marginPx = 20;
+  const sx = (width - marginPx * 2) / diameter;
+  const sy = (height - marginPx * 2) / diameter;
+  return Math.max(0.5, Math.min(sx, sy));
 }
 
-// Closest point from a point P to segment AB (projection clamped to [0,1]).
-function closestPointOnSegment(px, py, ax, ay, bx, by) {
-  const vx = bx - ax, vy = by - ay;
-  const wx = px - ax, wy = py - ay;
-  const vLen2 = vx * vx + vy * vy || 1;
-  let t = (wx * vx + wy * vy) / vLen2;
-  t = clamp(t, 0, 1);
-  const cx = ax + t * vx;
-  const cy = ay + t * vy;
-  const dx = px - cx, dy = py - cy;
-  return { t, cx, cy, dist: Math.hypot(dx, dy) };
+// Chart samples arrive as snapshot deltas: start over when the run was reset, and keep only the chart window
+function mergeSnapshotSamples(samples, prevView, msg, windowSec) {
+  const merged = !prevView || msg.generation !== prevView.generation ? [] : samples;
+  for (const s of msg.samples) merged.push(s);
+  const cutoff = msg.time - windowSec;
+  while (merged.length && merged[0].t < cutoff) merged.shift();
+  return merged;
 }
 
-// Exact time-of-impact for moving circle vs capsule segment; returns {t, nx, ny} or null.
-function sweptCircleSegmentTOI(p0x, p0y, dx, dy, ax, ay, bx, by, r) {
-  // Precompute segment basis
-  const ux = bx - ax, uy = by - ay;
-  const L = Math.hypot(ux, uy);
-  if (L === 0) {
-    // Degenerates to circle at A
-    const tCircle = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
-    if (tCircle == null) return null;
-    const cx = ax, cy = ay;
-    const px = p0x + dx * tCircle, py = p0y + dy * tCircle;
-    const nx = (px - cx) / (Math.hypot(px - cx, py - cy) || 1);
-    const ny = (py - cy) / (Math.hypot(px - cx, py - cy) || 1);
-    return { t: tCircle, nx, ny };
-  }
-  const unx = ux / L, uny = uy / L; // tangent
-  const nx0 = -uny, ny0 = unx;      // unit normal
-
-  // Infinite strip intersections: solve n·(P0 + t d - A) = ±r
-  const p0n = nx0 * (p0x - ax) + ny0 * (p0y - ay);
-  const dn = nx0 * dx + ny0 * dy;
-  const candidates = [];
-  const EPS = 1e-9;
-  if (Math.abs(dn) > EPS) {
-    for (const sgn of [+1, -1]) {
-      const t = (sgn * r - p0n) / dn;
-      if (t >= -EPS && t <= 1 + EPS) {
-        const px = p0x + dx * t;
-        const py = p0y + dy * t;
-        const s = unx * (px - ax) + uny * (py - ay); // projection along segment
-        if (s >= -EPS && s <= L + EPS) {
-          const normSign = Math.sign(nx0 * (px - ax) + ny0 * (py - ay));
-          const nx = (normSign >= 0) ? nx0 : -nx0;
-          const ny = (normSign >= 0) ? ny0 : -ny0;
-          candidates.push({ t: Math.max(0, Math.min(1, t)), nx, ny });
-        }
+/**
+ * Simulation backend: a SimController in a Web Worker, or in-page when workers are unavailable
+ * (e.g. index.html opened from file://, where browsers refuse to load worker scripts).
+ * post() sends a command; every command is answered with a snapshot through onMessage.
+ */
+class SimBackend {
+  constructor(onMessage, onRestart) {
+    this.onMessage = onMessage;
+    this.onRestart = onRestart; // called after falling back, so the page can re-send its state
+    this.worker = null;
+    this.controller = null;
+    this.kind = 'local';
+    const canUseWorker = typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    if (canUseWorker) {
+      try {
+        this.worker = new Worker('./sim-worker.js');
+        this.kind = 'worker';
+        let ready = false;
+        this.worker.onmessage = (e) => { ready = true; this.onMessage(e.data); };
+        this.worker.onerror = (e) => {
+          if (ready) { console.error('Simulation worker error:', e.message || e); return; }
+          // The worker never came up (blocked or failed to load): run in-page instead
+          console.warn('Simulation worker unavailable, running on the main thread.');
+          this.useLocal();
+          this.onRestart();
+        };
+      } catch (err) {
+        this.worker = null;
       }
     }
+    if (!this.worker) this.useLocal();
   }
 
-  // Endcap circles at A and B
-  const tA = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
-  if (tA != null && tA >= 0 && tA <= 1) {
-    const px = p0x + dx * tA, py = p0y + dy * tA;
-    const vax = px - ax, vay = py - ay; const len = Math.hypot(vax, vay) || 1;
-    candidates.push({ t: tA, nx: vax / len, ny: vay / len });
+  useLocal() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.kind = 'local';
+    this.controller = new SimController((msg) => this.onMessage(msg));
   }
-  const tB = sweptCircleHitT(p0x, p0y, dx, dy, bx, by, r);
-  if (tB != null && tB >= 0 && tB <= 1) {
-    const px = p0x + dx * tB, py = p0y + dy * tB;
-    const vbx = px - bx, vby = py - by; const len = Math.hypot(vbx, vby) || 1;
-    candidates.push({ t: tB, nx: vbx / len, ny: vby / len });
+
+  post(msg) {
+    if (this.worker) this.worker.postMessage(msg);
+    else this.controller.handle(msg);
   }
 
-  if (!candidates.length) return null;
-  let best = candidates[0];
-  for (let i = 1; i < candidates.length; i++) {
-    if (candidates[i].t < best.t) best = candidates[i];
+  // Stop the worker; the backend can't be posted to afterwards
+  dispose() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.controller = null;
   }
-  return best;
 }
 
-// Per-cast, per-target hit cooldown in seconds
-const PER_CAST_TARGET_COOLDOWN = 0.66;
+/** Simulation (canvas UI). Owns the DOM wiring and rendering; physics runs in a SimController behind this.backend. */
+class Simulation {
+  constructor(canvas) {
+    try {
+      this.canvas = canvas;
+      this.ctx = canvas.getContext('2d');
+      this.width = canvas.width;
+      this.height = canvas.height;
+      this.scale = this.computeScale(); // pixels per world unit
+      this.lastTime = performance.now();
+      this.speed = 1; // sim seconds per wall second, or 'max'
+      this.paused = false;
+      this.advancePending = false; // one advance request in flight at a time
 
-// World unit references
-const ARENA_RADIUS_UNITS = 160; // circle arena radius in world units
-const BOSS_RADIUS_UNITS = 3;
-const CASTER_RADIUS_UNITS = 3;
-const PROJ_RADIUS_UNITS = 0.5;
-const BASE_PROJ_SPEED_UNITS = 75;
-const WANDER_INTENSITY = 0.0;
+      // Load from URL params first
+      const url = decodeURLState(window.location.search, { width: this.width, height: this.height, scale: this.scale });
+      const urlConfig = url ? url.config : {};
+      // A version 2 link leaves out what is at its default; older links only left out what the inputs already held
+      if (url) applyConfigToDOM(url.version >= URL_STATE_VERSION ? { ...DEFAULT_CONFIG, seed: undefined, ...urlConfig } : urlConfig);
+      const timeScaleElem = el('timeScale');
+      if (url && url.windowSec !== undefined && timeScaleElem) timeScaleElem.value = String(url.windowSec);
+      // No seed in the link: pick one so this run can still be shared and replayed
+      const seedElem = el('seed');
+      if (seedElem && seedElem.value === '') seedElem.value = String(randomSeed());
+      // Waypoints (world units) for the boss and caster movement paths
+      this.paths = {
+        boss: (urlConfig.bossPath || []).map(p => ({ x: p.x, y: p.y })),
+        caster: (urlConfig.casterPath || []).map(p => ({ x: p.x, y: p.y })),
+      };
+      this.drawingPath = null; // 'boss' | 'caster' while canvas clicks add waypoints instead of dragging
+      // Rows of the editable barrage timing table (barrage count -> total window in seconds)
+      this.barrageTable = (urlConfig.barrageTimingTable || DEFAULT_CONFIG.barrageTimingTable).map(r => ({ ...r }));
+      this.config = this.readConfigFromDOM();
+      this.displayArena = createArena(this.config.arenaType, this.width, this.height, this.scale);
+      this.windowSec = clamp(Number(timeScaleElem?.value) || 10, 1, 600);
+      this.samples = []; // chart samples, appended from snapshot deltas
 
-/**
- * Straight-line movement for Twisters:
- * - Twisters travel in a single direction with no jitter or heading changes
- * - No wander behavior needed
- */
-function gaussian() {
-  // Box-Muller transform
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
+      // Local copies of the entities for drawing and drag hit-tests (world units)
+      this.caster = new Entity(-40, 30, CASTER_RADIUS_UNITS, '#4aa3ff');
+      this.boss = new Entity(30, -30, this.config.bossRadius, '#ff6b6b', 'boss');
+      this.boss.hitbox = createHitbox(this.config);
+      this.adds = []; // extra enemies, ids add1, add2, ...
 
-class Wander {
-  constructor() {
-    this.t = 0;
-    // Event rate ~3 Hz, matching observed low-velocity samples
-    this.lambda = 3.0;
-    // Probability that an event uses the larger-angle distribution
-    this.pLarge = 0.35;
-    // Probability to spawn a short burst (1-2 extra events) around the main event
-    this.pBurst = 0.25;
-    // Angular deltas (radians)
-    this.sigmaSmall = 22 * DEG_TO_RAD;  // ~22°
-    this.sigmaLarge = 75 * DEG_TO_RAD;  // ~75°
-    this.truncSmall = 60 * DEG_TO_RAD;  // cap small at 60°
-    this.truncLarge = 120 * DEG_TO_RAD; // cap large at 120°
-    // Micro jitter: per sqrt(second)
-    this.sigmaMicro = 4 * DEG_TO_RAD;
-    this.intensity = WANDER_INTENSITY;
-
-    this.nextEventAt = this.t + this.sampleExp(this.lambda);
-    this.pendingEvents = [];
-  }
-
-  sampleExp(rate) { return -Math.log(1 - Math.random()) / rate; }
-
-  sampleTruncatedNormal(sigma, maxAbs) {
-    // Centered at 0; accept-reject
-    for (let i = 0; i < 8; i++) {
-      const x = gaussian() * sigma;
-      if (Math.abs(x) <= maxAbs) return x;
-    }
-    return clamp(gaussian() * sigma, -maxAbs, maxAbs);
-  }
-
-  scheduleBurst(anchorTime) {
-    const extra = Math.random() < 0.5 ? 1 : 2;
-    for (let i = 0; i < extra; i++) {
-      const dt = randRange(0.03, 0.12); // ~30–120 ms
-      this.pendingEvents.push(anchorTime + dt);
-    }
-    this.pendingEvents.sort((a, b) => a - b);
-  }
-
-  step(angle, dt) {
-    this.t += dt;
-    // Continuous micro jitter
-    angle += gaussian() * this.sigmaMicro * Math.sqrt(Math.max(dt, 0)) * this.intensity;
-
-    // Process any due events (base or burst)
-    while (true) {
-      let eventTime = null;
-      if (this.pendingEvents.length && this.pendingEvents[0] <= this.t) {
-        eventTime = this.pendingEvents.shift();
-      } else if (this.t >= this.nextEventAt) {
-        eventTime = this.nextEventAt;
-        this.nextEventAt = this.t + this.sampleExp(this.lambda);
-        if (Math.random() < this.pBurst) this.scheduleBurst(eventTime);
-      } else {
-        break;
+      // Apply positions from URL
+      if (url && url.positions.caster) Object.assign(this.caster, url.positions.caster);
+      if (url && url.positions.boss) Object.assign(this.boss, url.positions.boss);
+      // Where the caster and boss were placed; moving ones return here on Reset, and links and batches start from here
+      this.casterHome = { x: this.caster.x, y: this.caster.y };
+      this.bossHome = { x: this.boss.x, y: this.boss.y };
+      if (url && url.positions.adds) {
+        this.adds = url.positions.adds.map((a, i) => new Entity(a.x, a.y, clamp(a.r, 0.1, 999), ADD_COLOR, `add${i + 1}`));
       }
 
-      const useLarge = Math.random() < this.pLarge;
-      const sigma = useLarge ? this.sigmaLarge : this.sigmaSmall;
-      const trunc = useLarge ? this.truncLarge : this.truncSmall;
-      const delta = this.sampleTruncatedNormal(sigma, trunc) * this.intensity;
-      angle += delta;
+      this.view = null; // latest snapshot from the backend
+      this.recording = false;
+      this.lastReplay = null; // most recent recorded or imported replay (raw JSON object), for export
+      this.runRecording = false;
+      this.lastRunLog = null; // most recent full-run log (samples, casts, hits), for export
+      this.replay = null; // replay playback state while the canvas shows a replay instead of the live run
+      this.heatmap = null; // { mover, cellSize, fixed, cells } from runHeatmap, painted under the entities
+      this.finder = null; // findBestPositions result; its candidates are drawn as ranked markers
+      this.compareConfigs = { A: null, B: null }; // settings captured for the A/B comparison
+      this.split = null; // { sides } while the A/B split view runs both configs live
+      this.backend = new SimBackend((msg) => this.onSimMessage(msg), () => this.initBackend());
+      this.initBackend();
+
+      // Ensure we always populate world-normalized positions in URL for sharing (prefer world coords only)
+      updateURL(this);
+
+      // Input
+      this.dragging = null; // 'caster' | 'boss' | add id
+      this.installInput();
+
+      // UI
+      this.installUI();
+
+      requestAnimationFrame((t) => this.loop(t));
+    } catch (err) {
+      console.error('Simulation constructor error:', err);
+      // At minimum, ensure we have a valid canvas context to draw error message
+      if (this.ctx) {
+        this.ctx.fillStyle = '#ff6666';
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText('Error initializing simulation. Check console.', 20, 40);
+      }
     }
+  }
+
+  computeScale() { return arenaFitScale(this.width, this.height); }
 
-    return angle;
+  // Canvas resized: only the view changes, the world-unit simulation is untouched
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.scale = this.computeScale();
+    this.displayArena = createArena(this.activeConfig().arenaType, this.width, this.height, this.scale);
   }
-}
 
-// Arena shape base + variants
-class Arena {
-  constructor(width, height) { this.width = width; this.height = height; }
-  // return {hit:boolean, nx:number, ny:number, reflect:boolean, x:number, y:number}
-  collideCircle(x, y, r) { return { hit: false }; }
-  draw(ctx) {}
-}
+  // What the canvas and stats show: the replay at its playhead, or the live run
+  activeView() { return this.replay ? this.replay.view : this.view; }
+  activeConfig() { return this.replay ? this.replay.player.configAt(this.replay.t) : this.config; }
+
+  // Screen <-> world (world origin is the arena centre)
+  toScreen(x, y) { return { x: this.width / 2 + x * this.scale, y: this.height / 2 + y * this.scale }; }
+  toWorld(px, py) { return { x: (px - this.width / 2) / this.scale, y: (py - this.height / 2) / this.scale }; }
+
+  // Full state for a fresh (or restarted) backend
+  initBackend() {
+    this.advancePending = false;
+    this.unsentDt = 0;
+    this.backend.post({
+      type: 'init',
+      config: this.config,
+      positions: this.getPositions(),
+      windowSec: this.windowSec,
+      options: { logHits: LOG_HITS },
+    });
+  }
 
-class CircleArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    const radius = ARENA_RADIUS_UNITS * scale;
-    this.center = { x: width / 2, y: height / 2 };
-    this.radius = radius;
-  }
-  collideCircle(x, y, r) {
-    const dx = x - this.center.x; const dy = y - this.center.y;
-    const dist = Math.hypot(dx, dy);
-    const limit = this.radius - r;
-    if (dist > limit) {
-      const nx = dx / dist; const ny = dy / dist;
-      const px = this.center.x + nx * limit;
-      const py = this.center.y + ny * limit;
-      return { hit: true, nx, ny, reflect: true, x: px, y: py };
-    }
-    return { hit: false };
-  }
-  draw(ctx) {
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(this.center.x, this.center.y, this.radius, 0, TWO_PI);
-    ctx.stroke();
-    ctx.restore();
+  getPositions() {
+    return { caster: { ...this.casterHome }, boss: { ...this.bossHome }, adds: this.addPositions() };
   }
-}
 
-class SquareArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    const side = ARENA_RADIUS_UNITS * 2 * scale; // match circle arena diameter
-    this.rect = {
-      x: (width - side) / 2,
-      y: (height - side) / 2,
-      w: side,
-      h: side,
-    };
+  addPositions() {
+    return this.adds.map(a => ({ id: a.id, x: a.x, y: a.y, r: a.r }));
   }
-  collideCircle(x, y, r) {
-    const { x: rx, y: ry, w, h } = this.rect;
-    let nx = 0, ny = 0, hit = false;
-    let px = x, py = y;
-    if (x - r < rx) { px = rx + r; nx = -1; hit = true; }
-    if (x + r > rx + w) { px = rx + w - r; nx = 1; hit = true; }
-    if (y - r < ry) { py = ry + r; ny = -1; hit = true; }
-    if (y + r > ry + h) { py = ry + h - r; ny = 1; hit = true; }
-    if (!hit) return { hit: false };
-    const norm = Math.hypot(nx, ny) || 1;
-    return { hit: true, nx: nx / norm, ny: ny / norm, reflect: true, x: px, y: py };
-  }
-  draw(ctx) {
-    const { x, y, w, h } = this.rect;
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x, y, w, h);
-    ctx.restore();
+
+  entityById(id) {
+    if (id === 'caster') return this.caster;
+    if (id === 'boss') return this.boss;
+    return this.adds.find(a => a.id === id) || null;
   }
-}
 
-class TJunctionArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    // Build a hollow T corridor: open connection between vertical stem and horizontal bar
-    const cx = width / 2; const cy = height / 2;
-    // World units (inner corridor sizes)
-    const stemWidthU = 100;
-    const stemHeightU = 260;
-    const barWidthU = 320;
-    const barHeightU = 80;
-
-    // Fit the full T height within the baseline circle footprint (320u) so it's centered and not clipped
-    const targetHUnits = ARENA_RADIUS_UNITS * 2; // 320u
-    const tHeightUnits = stemHeightU + barHeightU; // 340u by default
-    const fitFactor = Math.min(1, targetHUnits / tHeightUnits);
-    const sW = stemWidthU * scale * fitFactor;      // inner stem width
-    const sH = stemHeightU * scale * fitFactor;     // stem length
-    const bW = barWidthU * scale * fitFactor;       // inner bar width
-    const bH = barHeightU * scale * fitFactor;      // inner bar height
-
-    // Connection Y (where stem meets bar, at center of bar vertically)
-    const connectY = cy - sH / 2;
-    const barCenterY = connectY; // center of bar along Y
-    const barTopY = barCenterY - bH / 2;
-    const barBotY = barCenterY + bH / 2;
-
-    // Stem vertical walls terminate at bar bottom to leave opening
-    const stemLeftX = cx - sW / 2;
-    const stemRightX = cx + sW / 2;
-    const stemBotY = cy + sH / 2;
-
-    const barLeftX = cx - bW / 2;
-    const barRightX = cx + bW / 2;
-
-    // Build segments: two stem sides, stem bottom cap, bar top wall, bar bottom walls left/right (gap at stem), bar end caps
-    this.segments = [
-      // Stem sides (stop at bar bottom)
-      { x1: stemLeftX, y1: barBotY, x2: stemLeftX, y2: stemBotY },
-      { x1: stemRightX, y1: barBotY, x2: stemRightX, y2: stemBotY },
-      // Stem bottom cap
-      { x1: stemLeftX, y1: stemBotY, x2: stemRightX, y2: stemBotY },
-      // Bar top wall (continuous)
-      { x1: barLeftX, y1: barTopY, x2: barRightX, y2: barTopY },
-      // Bar bottom wall split into left and right to leave opening for stem
-      { x1: barLeftX, y1: barBotY, x2: stemLeftX, y2: barBotY },
-      { x1: stemRightX, y1: barBotY, x2: barRightX, y2: barBotY },
-      // Bar end caps
-      { x1: barLeftX, y1: barTopY, x2: barLeftX, y2: barBotY },
-      { x1: barRightX, y1: barTopY, x2: barRightX, y2: barBotY },
-    ];
+  // New add next to the boss, at the first offset angle that stays inside the arena
+  addEnemy() {
+    const arena = createArena(this.config.arenaType);
+    const r = BOSS_RADIUS_UNITS;
+    let at = { x: this.boss.x, y: this.boss.y };
+    for (let k = 0; k < 8; k++) {
+      const angle = (k * Math.PI) / 4;
+      const p = { x: this.boss.x + Math.cos(angle) * ADD_SPAWN_OFFSET_UNITS, y: this.boss.y + Math.sin(angle) * ADD_SPAWN_OFFSET_UNITS };
+      if (arena.contains(p.x, p.y, r)) { at = p; break; }
+    }
+    const next = this.adds.reduce((n, a) => Math.max(n, Number(a.id.slice(3)) || 0), 0) + 1;
+    this.adds.push(new Entity(at.x, at.y, r, ADD_COLOR, `add${next}`));
+    this.onAddsChanged();
   }
-  // Reflect off segments, simple circle-line collision correction
-  collideCircle(x, y, r) {
-    for (const s of this.segments) {
-      const vx = s.x2 - s.x1; const vy = s.y2 - s.y1;
-      const wx = x - s.x1; const wy = y - s.y1;
-      const vLen2 = vx * vx + vy * vy;
-      const t = clamp((wx * vx + wy * vy) / vLen2, 0, 1);
-      const cx = s.x1 + t * vx; const cy = s.y1 + t * vy;
-      const dx = x - cx; const dy = y - cy; const d = Math.hypot(dx, dy);
-      if (d < r) {
-        const nx = dx / (d || 1); const ny = dy / (d || 1);
-        return { hit: true, nx, ny, reflect: true, x: cx + nx * r, y: cy + ny * r };
-      }
+
+  removeEnemy(id) {
+    this.adds = this.adds.filter(a => a.id !== id);
+    this.onAddsChanged();
+  }
+
+  onAddsChanged() {
+    this.backend.post({ type: 'positions', positions: { adds: this.addPositions() } });
+    this.renderAddsList();
+    updateURL(this);
+  }
+
+  // Total Time = the selected timing model's window (linear: Number of Barrages × Time between repeats)
+  updateBarrageTiming() {
+    const config = this.readConfigFromDOM();
+    const totalTimeElem = el('barrageTimeInterval');
+    if (totalTimeElem) totalTimeElem.value = barrageTimingWindow(config).toFixed(2);
+    // Time between repeats only drives the linear model
+    const timeBetweenElem = el('timeBetweenBarrageRepeats');
+    if (timeBetweenElem) timeBetweenElem.disabled = config.barrageTiming !== 'linear';
+    this.applyConfig();
+    updateURL(this);
+  }
+
+  onBarrageTableChanged() {
+    this.renderBarrageTable();
+    this.updateBarrageTiming();
+  }
+
+  renderBarrageTable() {
+    const table = el('barrageTimingTable');
+    if (!table) return;
+    let html = '<tr><th>Barrage Count</th><th>Total Window (s)</th><th></th></tr>';
+    this.barrageTable.forEach((r, i) => {
+      html += `<tr><td><input type="number" min="1" step="1" value="${r.count}" data-timing-row="${i}" data-timing-field="count" /></td>` +
+        `<td><input type="number" min="0" step="0.1" value="${r.window}" data-timing-row="${i}" data-timing-field="window" /></td>` +
+        `<td><button data-remove-timing-row="${i}">Remove</button></td></tr>`;
+    });
+    table.innerHTML = html;
+  }
+
+  renderAddsList() {
+    const table = el('addsList');
+    if (!table) return;
+    if (!this.adds.length) { table.innerHTML = ''; return; }
+    let html = '<tr><th>Add</th><th>Radius</th><th></th></tr>';
+    for (const a of this.adds) {
+      html += `<tr><td>${a.id}</td><td><input type="number" min="0.1" step="0.1" value="${a.r}" data-add-radius="${a.id}" /></td>` +
+        `<td><button data-remove-add="${a.id}">Remove</button></td></tr>`;
     }
-    return { hit: false };
+    table.innerHTML = html;
   }
-  draw(ctx) {
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 4;
-    for (const s of this.segments) {
-      ctx.beginPath();
-      ctx.moveTo(s.x1, s.y1);
-      ctx.lineTo(s.x2, s.y2);
-      ctx.stroke();
+
+  onSimMessage(msg) {
+    if (msg.type === 'replay') {
+      this.setRecording(false);
+      this.loadReplay(msg.replay);
+      return;
     }
-    ctx.restore();
+    if (msg.type === 'runLog') {
+      this.setRunRecording(false);
+      this.loadRunLog(msg.log);
+      return;
+    }
+    if (msg.type !== 'snapshot') return;
+    if (msg.recording !== this.recording) this.setRecording(msg.recording);
+    if (msg.runRecording !== this.runRecording) this.setRunRecording(msg.runRecording);
+    if (msg.runRecordingTruncated) this.setRunLogStatus('Recording limit reached; press Stop Recording to keep what was captured.');
+    if (msg.recordingTruncated) this.setReplayStatus('Recording limit reached; press Stop Recording to keep what was captured.');
+    if (msg.advanced) this.advancePending = false;
+    this.samples = mergeSnapshotSamples(this.samples, this.view, msg, this.windowSec);
+    // Entities follow the simulation, except one being dragged (the page owns it until mouseup)
+    if (this.dragging !== 'caster') Object.assign(this.caster, msg.caster);
+    if (this.dragging !== 'boss') Object.assign(this.boss, msg.boss);
+    for (const a of msg.adds) {
+      const add = this.entityById(a.id);
+      if (add && this.dragging !== a.id) { add.x = a.x; add.y = a.y; }
+    }
+    this.view = msg;
   }
-}
 
-// Entity (player/boss)
-class Entity {
-  constructor(x, y, r, color) { this.x = x; this.y = y; this.r = r; this.color = color; this.drag = false; }
-  draw(ctx) {
-    ctx.save();
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.r, 0, TWO_PI);
-    ctx.fill();
-    ctx.restore();
+  readConfigFromDOM() {
+    const getNum = (id) => {
+      const elem = el(id);
+      return elem ? Number(elem.value) : 0;
+    };
+    const getSel = (id) => {
+      const elem = el(id);
+      return elem ? elem.value : 'circle';
+    };
+    const getCheckbox = (id) => {
+      const elem = el(id);
+      return elem ? elem.checked : false;
+    };
+    return {
+      arenaType: getSel('arenaType'),
+      avgHit: getNum('avgHit'),
+      damageMin: getNum('damageMin'),
+      damageMax: getNum('damageMax'),
+      critChance: getNum('critChance'),
+      critMultiplier: getNum('critMultiplier'),
+      physicalShare: getNum('physicalShare'),
+      armourPenetration: getNum('armourPenetration'),
+      resistancePenetration: getNum('resistancePenetration'),
+      enemyArmour: getNum('enemyArmour'),
+      enemyResistance: getNum('enemyResistance'),
+      bossLife: getNum('bossLife') || 0,
+      bossRegen: getNum('bossRegen') || 0,
+      bossPhases: parsePhaseThresholds(el('bossPhases') ? el('bossPhases').value : ''),
+      bossPhaseDuration: getNum('bossPhaseDuration') || 0,
+      increasedProjSpeed: getNum('projSpeedMod') || 0, // percentage increase
+      projectileCount: getNum('projectileCount'),
+      whirlwindStages: getNum('whirlwindStages'),
+      twisterRadius: getNum('twisterRadius'),
+      duration: getNum('duration'),
+      pierceCount: Math.max(0, getNum('pierceCount')),
+      forkTimes: 0,
+      chainCount: Math.max(0, getNum('chainCount')),
+      splitCount: 0,
+      forkChance: 0,
+      bossRadius: getNum('bossRadius') || BOSS_RADIUS_UNITS,
+      bossShape: el('bossShape') ? el('bossShape').value : 'circle',
+      bossLength: getNum('bossLength') || 0,
+      bossRotation: getNum('bossRotation') || 0,
+      bossPolygon: parsePolygon(el('bossPolygon') ? el('bossPolygon').value : ''),
+      maxSeals: getNum('maxSeals'),
+      salvoSealCount: getNum('salvoSealCount'),
+      castMode: el('castMode') ? el('castMode').value : 'seals',
+      castInterval: getNum('castInterval'),
+      castTime: getNum('castTime') || 0,
+      castSpeed: getNum('castSpeed') || 0,
+      barrageCount: getNum('barrageCount'),
+      barrageTimeInterval: getNum('barrageTimeInterval'),
+      timeBetweenBarrageRepeats: getNum('timeBetweenBarrageRepeats'),
+      barrageTiming: el('barrageTiming') ? el('barrageTiming').value : 'linear',
+      barrageTimingTable: this.barrageTable.map(r => ({ count: r.count, window: r.window })),
+      baseSealGainFrequency: getNum('baseSealGainFrequency'),
+      baseProjSpeed: getNum('baseProjSpeed'),
+      increasedSealGainFrequency: getNum('increasedSealGainFrequency'),
+      salvoSupport: getCheckbox('salvoSupport'),
+      barrageCooldown: Math.max(0, getNum('barrageCooldown') || 0),
+      castShape: el('castShape') ? el('castShape').value : 'cone',
+      coneAngle: getNum('coneAngle') || 0,
+      seed: getNum('seed'),
+      bossMovement: el('bossMovement') ? el('bossMovement').value : 'static',
+      bossSpeed: getNum('bossSpeed'),
+      bossStandoff: getNum('bossStandoff'),
+      bossOrbitRadius: getNum('bossOrbitRadius'),
+      bossDashInterval: getNum('bossDashInterval') || 3,
+      bossDashDistance: getNum('bossDashDistance'),
+      bossDashSpeed: getNum('bossDashSpeed'),
+      bossPath: this.paths.boss.map(p => ({ x: p.x, y: p.y })),
+      casterMovement: el('casterMovement') ? el('casterMovement').value : 'static',
+      casterSpeed: getNum('casterSpeed'),
+      casterOrbitRadius: getNum('casterOrbitRadius'),
+      casterKiteDistance: getNum('casterKiteDistance'),
+      casterRollInterval: getNum('casterRollInterval') || 2,
+      casterRollDistance: getNum('casterRollDistance'),
+      casterRollSpeed: getNum('casterRollSpeed'),
+      casterPath: this.paths.caster.map(p => ({ x: p.x, y: p.y })),
+      steering: el('steering') ? el('steering').value : 'straight',
+      wanderLambda: getNum('wanderLambda'),
+      wanderSigmaSmall: getNum('wanderSigmaSmall'),
+      wanderSigmaLarge: getNum('wanderSigmaLarge'),
+      wanderIntensity: getNum('wanderIntensity'),
+      homingTurnRate: getNum('homingTurnRate'),
+      reflectionModel: el('reflectionModel') ? el('reflectionModel').value : 'uniform',
+      reflectionDeviation: getNum('reflectionDeviation'),
+      repeatsCopyReflection: getCheckbox('repeatsCopyReflection'),
+      hitGroupPolicy: el('hitGroupPolicy') ? el('hitGroupPolicy').value : 'repeat',
+      hitCooldown: getNum('hitCooldown'),
+      hitGroupByRepeat: getCheckbox('hitGroupByRepeat'),
+      hitGroupBySeal: getCheckbox('hitGroupBySeal'),
+      hitGroupByProjectile: getCheckbox('hitGroupByProjectile'),
+    };
   }
-  contains(px, py) { return Math.hypot(px - this.x, py - this.y) <= this.r; }
-}
 
-// Projectile
-let nextCastId = 1;
-let nextProjectileGroupId = 1;
-class Projectile {
-  constructor(config) {
-    this.id = Math.random().toString(36).slice(2);
-    this.castId = config.castId;
-    this.instanceId = config.instanceId; // groups main cast + all barrage repeats
-    this.barrageRepeatIndex = config.barrageRepeatIndex || 0; // 0 = main, 1+ = barrage repeat number
-    this.projectileGroupId = config.projectileGroupId; // unique ID for main + all its barrage repeats
-    this.x = config.x;
-    this.y = config.y;
-    this.vx = Math.cos(config.angle) * config.speed;
-    this.vy = Math.sin(config.angle) * config.speed;
-    this.speed = config.speed;
-    this.angle = config.angle;
-    this.initialAngle = config.angle; // store original angle for deviation tracking
-    this.storedReflectionDeviation = null; // deviation value generated by main projectile on first reflection
-    this.mainProjectileRef = null; // cached reference to the main projectile (for barrage repeats)
-    this.simulationRef = config.simulationRef; // reference to simulation instance for dynamic lookups
-    // Store the twister radius in world units and scale to pixels
-    this.twisterRadiusUnits = config.twisterRadius || PROJ_RADIUS_UNITS;
-    this.radius = this.twisterRadiusUnits * window.__currentScale;
-    this.spawnTime = config.now;
-    this.duration = config.duration;
-    this.casterRef = config.casterRef; // live reference to caster entity (for 150u leash)
-    this.wander = new Wander(Math.PI * 2, 0.8);
-    this.pierceRemaining = config.pierceCount;
-    this.forkRemaining = config.forkTimes;
-    this.chainRemaining = config.chainCount;
-    this.splitCount = config.splitCount; // number of new projectiles when split triggers
-    this.hasSplit = false;
-    // Damage multiplier for barrage repeats (0.55 for 45% less damage)
-    this.damageMultiplier = config.damageMultiplier !== undefined ? config.damageMultiplier : 1.0;
-  }
-  age(now) { return (now - this.spawnTime) / 1000; }
-  isExpired(now) {
-    if (this.age(now) > this.duration && this.duration >= 0) return true;
-    return false;
-  }
-  think(dt) {
-    // Twisters move in straight lines; no direction changes
-    // Velocity remains constant from spawn
-  }
-  move(dt) { this.x += this.vx * dt; this.y += this.vy * dt; }
-  reflect(nx, ny) {
-    // reflect velocity vector over normal
-    const vdotn = this.vx * nx + this.vy * ny;
-    this.vx = this.vx - 2 * vdotn * nx;
-    this.vy = this.vy - 2 * vdotn * ny;
-    this.angle = Math.atan2(this.vy, this.vx);
-    
-    // Add random 30-degree deviation (±30 degrees, unbiased)
-    let deviationDeg;
-    
-    // Check if this projectile already has a locked-in deviation
-    if (this.storedReflectionDeviation !== null) {
-      // Already have a deviation from a previous reflection - use it and don't update
-      deviationDeg = this.storedReflectionDeviation;
-    } else if (this.barrageRepeatIndex === 0) {
-      // Main projectile: roll new random deviation for each reflection
-      deviationDeg = (Math.random() * 2 - 1) * 30; // -30 to +30
-      this.storedReflectionDeviation = deviationDeg;
-    } else {
-      // Barrage repeat on first reflection: try to get deviation from main projectile first
-      let mainProj = this.mainProjectileRef; // check cached reference first
-      
-      // If we don't have a cached reference, try to find the main projectile
-      if (!mainProj && this.simulationRef) {
-        for (const proj of this.simulationRef.projectiles) {
-          if (proj.instanceId === this.instanceId && 
-              proj.barrageRepeatIndex === 0 && 
-              proj.projectileGroupId === this.projectileGroupId) {
-            mainProj = proj;
-            this.mainProjectileRef = mainProj; // cache the reference for future use
-            break;
-          }
-        }
+  // Push the current DOM inputs to the simulation and refresh the pixel-space arena used for drawing
+  applyConfig(stop = false) {
+    this.config = this.readConfigFromDOM();
+    this.boss.r = clamp(this.config.bossRadius, 0.1, 999);
+    this.boss.hitbox = createHitbox(this.config);
+    if (!this.replay) this.displayArena = createArena(this.config.arenaType, this.width, this.height, this.scale);
+    this.backend.post({ type: 'config', config: this.config, stop });
+  }
+
+  installUI() {
+    const ids = [
+      'arenaType','avgHit','projSpeedMod','projectileCount','whirlwindStages','twisterRadius','duration','bossRadius','maxSeals','salvoSealCount','barrageCount','barrageTimeInterval','timeBetweenBarrageRepeats','baseSealGainFrequency','baseProjSpeed','increasedSealGainFrequency','seed',
+      'pierceCount','chainCount',
+      'bossMovement','bossSpeed','bossStandoff','bossOrbitRadius','bossDashInterval','bossDashDistance','bossDashSpeed',
+      'casterMovement','casterSpeed','casterOrbitRadius','casterKiteDistance','casterRollInterval','casterRollDistance','casterRollSpeed',
+      'steering','wanderLambda','wanderSigmaSmall','wanderSigmaLarge','wanderIntensity','homingTurnRate',
+      'reflectionModel','reflectionDeviation','hitGroupPolicy','hitCooldown',
+      'damageMin','damageMax','critChance','critMultiplier','physicalShare','armourPenetration','resistancePenetration','enemyArmour','enemyResistance',
+      'bossLife','bossRegen','bossPhases','bossPhaseDuration',
+      'bossShape','bossLength','bossRotation','bossPolygon',
+      'castMode','castInterval','castTime','castSpeed',
+      'barrageCooldown','castShape','coneAngle'
+    ];
+    for (const id of ids) {
+      const elem = document.getElementById(id);
+      if (elem) {
+        elem.addEventListener('input', () => {
+          // Ensure simulation is not running when updating config
+          this.applyConfig(true);
+
+          // write URL params on any config change
+          updateURL(this);
+        });
       }
-      
-      // Use main projectile's deviation if available
-      if (mainProj && mainProj.storedReflectionDeviation !== null) {
-        deviationDeg = mainProj.storedReflectionDeviation;
-      } else {
-        // Main hasn't reflected yet, try to find the previous barrage repeat in the chain
-        let prevBarrageProj = null;
-        const prevBarrageIndex = this.barrageRepeatIndex - 1;
-        if (this.simulationRef && prevBarrageIndex > 0) {
-          for (const proj of this.simulationRef.projectiles) {
-            if (proj.instanceId === this.instanceId && 
-                proj.barrageRepeatIndex === prevBarrageIndex && 
-                proj.projectileGroupId === this.projectileGroupId) {
-              prevBarrageProj = proj;
-              break;
-            }
-          }
+    }
+
+    // Handle checkboxes separately (they fire change events, not input)
+    for (const id of ['salvoSupport', 'repeatsCopyReflection', 'hitGroupByRepeat', 'hitGroupBySeal', 'hitGroupByProjectile']) {
+      const elem = document.getElementById(id);
+      if (!elem) continue;
+      elem.addEventListener('change', () => {
+        this.applyConfig(true);
+        updateURL(this);
+      });
+    }
+
+    // Link barrageCount, the barrage timing model, and barrageTimeInterval (see updateBarrageTiming)
+    const updateLinkedValues = () => this.updateBarrageTiming();
+    for (const id of ['barrageCount', 'timeBetweenBarrageRepeats', 'barrageTiming']) {
+      const elem = document.getElementById(id);
+      if (elem) elem.addEventListener('input', updateLinkedValues);
+    }
+
+    const addTimingRowBtn = el('addTimingRowBtn');
+    if (addTimingRowBtn) {
+      addTimingRowBtn.addEventListener('click', () => {
+        const last = this.barrageTable[this.barrageTable.length - 1];
+        this.barrageTable.push(last ? { count: last.count + 1, window: last.window } : { count: 1, window: 0.5 });
+        this.onBarrageTableChanged();
+      });
+    }
+    const timingTable = el('barrageTimingTable');
+    if (timingTable) {
+      timingTable.addEventListener('click', (e) => {
+        const row = e.target && e.target.dataset ? e.target.dataset.removeTimingRow : undefined;
+        if (row === undefined) return;
+        this.barrageTable.splice(Number(row), 1);
+        this.onBarrageTableChanged();
+      });
+      timingTable.addEventListener('input', (e) => {
+        const row = e.target && e.target.dataset ? e.target.dataset.timingRow : undefined;
+        const v = Number(e.target.value);
+        if (row === undefined || e.target.value === '' || !Number.isFinite(v) || v < 0) return;
+        this.barrageTable[Number(row)][e.target.dataset.timingField] = v;
+        // Re-render only on add/remove so typing keeps focus
+        updateLinkedValues();
+      });
+    }
+    this.renderBarrageTable();
+    updateLinkedValues();
+
+    const timeScaleElem = document.getElementById('timeScale');
+    if (timeScaleElem) {
+      timeScaleElem.addEventListener('change', (e) => {
+        const sec = Number(e.target.value);
+        this.windowSec = clamp(sec, 1, 600);
+        this.backend.post({ type: 'windowSec', windowSec: this.windowSec });
+        updateURL(this);
+      });
+    }
+
+    const startBtn = document.getElementById('startBtn');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => { this.backend.post({ type: 'start' }); });
+    }
+
+    const stopBtn = document.getElementById('stopBtn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => { this.backend.post({ type: 'stop' }); });
+    }
+
+    const resetBtn = document.getElementById('resetBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => { this.backend.post({ type: 'reset' }); });
+    }
+
+    const simSpeedElem = document.getElementById('simSpeed');
+    if (simSpeedElem) {
+      simSpeedElem.addEventListener('change', (e) => {
+        this.speed = e.target.value === 'max' ? 'max' : clamp(Number(e.target.value) || 1, 0.01, 1000);
+      });
+    }
+
+    // Pause freezes the simulation entirely (projectiles, seal gain, cooldowns); Stop only stops casting
+    const pauseBtn = document.getElementById('pauseBtn');
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => { this.setPaused(!this.paused); });
+    }
+    const stepFrameBtn = document.getElementById('stepFrameBtn');
+    if (stepFrameBtn) {
+      stepFrameBtn.addEventListener('click', () => { this.stepTicks(Math.round(STEP_FRAME_SEC / PHYSICS_DT)); });
+    }
+    const stepTickBtn = document.getElementById('stepTickBtn');
+    if (stepTickBtn) {
+      stepTickBtn.addEventListener('click', () => { this.stepTicks(1); });
+    }
+
+    const runHeatmapBtn = el('runHeatmapBtn');
+    if (runHeatmapBtn) {
+      runHeatmapBtn.addEventListener('click', () => { this.runHeatmap(); });
+    }
+    const cancelHeatmapBtn = el('cancelHeatmapBtn');
+    if (cancelHeatmapBtn) {
+      cancelHeatmapBtn.addEventListener('click', () => { if (this.heatmapToken) this.heatmapToken.cancelled = true; });
+    }
+    const clearHeatmapBtn = el('clearHeatmapBtn');
+    if (clearHeatmapBtn) {
+      clearHeatmapBtn.addEventListener('click', () => {
+        this.heatmap = null;
+        const progress = el('heatmapProgress');
+        if (progress) progress.textContent = 'Idle';
+      });
+    }
+    const exportHeatmapCsvBtn = el('exportHeatmapCsvBtn');
+    if (exportHeatmapCsvBtn) {
+      exportHeatmapCsvBtn.addEventListener('click', () => {
+        if (this.heatmap) downloadFile(`twister-heatmap-${this.heatmap.mover}.csv`, this.heatmapCsv(), 'text/csv');
+      });
+    }
+    const exportHeatmapPngBtn = el('exportHeatmapPngBtn');
+    if (exportHeatmapPngBtn) {
+      exportHeatmapPngBtn.addEventListener('click', () => {
+        if (!this.heatmap) return;
+        // The canvas already has the legend painted on it
+        this.draw();
+        this.canvas.toBlob((blob) => { if (blob) downloadFile(`twister-heatmap-${this.heatmap.mover}.png`, blob); }, 'image/png');
+      });
+    }
+
+    const runFinderBtn = el('runFinderBtn');
+    if (runFinderBtn) {
+      runFinderBtn.addEventListener('click', () => { this.runFinder(); });
+    }
+    const cancelFinderBtn = el('cancelFinderBtn');
+    if (cancelFinderBtn) {
+      cancelFinderBtn.addEventListener('click', () => { if (this.finderToken) this.finderToken.cancelled = true; });
+    }
+    const clearFinderBtn = el('clearFinderBtn');
+    if (clearFinderBtn) {
+      clearFinderBtn.addEventListener('click', () => {
+        this.finder = null;
+        this.renderFinderResults();
+        const progress = el('finderProgress');
+        if (progress) progress.textContent = 'Idle';
+      });
+    }
+    for (const [owner, ui] of Object.entries(WAYPOINT_PATHS)) {
+      const drawBtn = el(ui.drawBtn);
+      if (drawBtn) {
+        drawBtn.addEventListener('click', () => { this.setDrawingPath(this.drawingPath === owner ? null : owner); });
+      }
+      const clearBtn = el(ui.clearBtn);
+      if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+          this.paths[owner] = [];
+          this.onPathChanged(owner);
+        });
+      }
+      this.renderPathStatus(owner);
+    }
+
+    const addEnemyBtn = el('addEnemyBtn');
+    if (addEnemyBtn) {
+      addEnemyBtn.addEventListener('click', () => { this.addEnemy(); });
+    }
+    const addsList = el('addsList');
+    if (addsList) {
+      addsList.addEventListener('click', (e) => {
+        const id = e.target && e.target.dataset ? e.target.dataset.removeAdd : undefined;
+        if (id !== undefined) this.removeEnemy(id);
+      });
+      addsList.addEventListener('input', (e) => {
+        const id = e.target && e.target.dataset ? e.target.dataset.addRadius : undefined;
+        const add = id !== undefined ? this.entityById(id) : null;
+        const r = Number(e.target.value);
+        if (!add || !(r > 0)) return;
+        add.r = clamp(r, 0.1, 999);
+        this.backend.post({ type: 'positions', positions: { adds: this.addPositions() } });
+        updateURL(this);
+      });
+    }
+    this.renderAddsList();
+
+    const finderResults = el('finderResults');
+    if (finderResults) {
+      finderResults.addEventListener('click', (e) => {
+        const rank = e.target && e.target.dataset ? e.target.dataset.useCandidate : undefined;
+        if (rank !== undefined) this.useFinderCandidate(Number(rank));
+      });
+    }
+
+    const runBatchBtn = document.getElementById('runBatchBtn');
+    if (runBatchBtn) {
+      runBatchBtn.addEventListener('click', () => { this.runBatch(); });
+    }
+    const cancelBatchBtn = document.getElementById('cancelBatchBtn');
+    if (cancelBatchBtn) {
+      cancelBatchBtn.addEventListener('click', () => { if (this.batchToken) this.batchToken.cancelled = true; });
+    }
+
+    for (const label of ['A', 'B']) {
+      const captureBtn = el(`captureCompare${label}Btn`);
+      if (captureBtn) captureBtn.addEventListener('click', () => this.captureCompareConfig(label));
+    }
+    const compareViewBtn = el('compareViewBtn');
+    if (compareViewBtn) {
+      compareViewBtn.addEventListener('click', () => { if (this.split) this.closeSplitView(); else this.openSplitView(); });
+    }
+    const runCompareBtn = el('runCompareBtn');
+    if (runCompareBtn) runCompareBtn.addEventListener('click', () => { this.runCompare(); });
+    const cancelCompareBtn = el('cancelCompareBtn');
+    if (cancelCompareBtn) {
+      cancelCompareBtn.addEventListener('click', () => { if (this.compareToken) this.compareToken.cancelled = true; });
+    }
+    this.updateCompareStatus();
+
+    const importPobBtn = el('importPobBtn');
+    if (importPobBtn) importPobBtn.addEventListener('click', () => { this.importPob(); });
+
+    const saveScenarioBtn = el('saveScenarioBtn');
+    if (saveScenarioBtn) saveScenarioBtn.addEventListener('click', () => this.saveScenario());
+    const scenarioList = el('scenarioList');
+    if (scenarioList) {
+      scenarioList.addEventListener('click', (e) => {
+        const ds = e.target && e.target.dataset;
+        if (ds && ds.scenarioAction) this.onScenarioAction(ds.scenarioAction, Number(ds.scenario));
+      });
+      // Names are edited in place; the rename lands when the field is committed
+      scenarioList.addEventListener('change', (e) => {
+        const ds = e.target && e.target.dataset;
+        if (ds && ds.scenarioName !== undefined) this.renameScenario(Number(ds.scenarioName), e.target.value);
+      });
+    }
+    const exportScenariosBtn = el('exportScenariosBtn');
+    if (exportScenariosBtn) exportScenariosBtn.addEventListener('click', () => this.exportScenarios());
+    const importScenariosInput = el('importScenariosInput');
+    if (importScenariosInput) {
+      importScenariosInput.addEventListener('change', async () => {
+        const file = importScenariosInput.files && importScenariosInput.files[0];
+        importScenariosInput.value = '';
+        if (!file) return;
+        try {
+          this.importScenarios(JSON.parse(await file.text()));
+        } catch (err) {
+          this.setScenarioStatus(`Could not import ${file.name}: ${err.message}`);
         }
-        
-        // Use previous barrage repeat's deviation if it has one
-        if (prevBarrageProj && prevBarrageProj.storedReflectionDeviation !== null) {
-          deviationDeg = prevBarrageProj.storedReflectionDeviation;
+      });
+    }
+    this.renderScenarioList();
+
+    const recordBtn = el('recordBtn');
+    if (recordBtn) {
+      recordBtn.addEventListener('click', () => {
+        if (this.recording) {
+          this.backend.post({ type: 'record', on: false });
         } else {
-          // No chain available, generate random deviation
-          deviationDeg = (Math.random() * 2 - 1) * 30;
+          this.exitReplay();
+          this.setRecording(true);
+          this.backend.post({ type: 'record', on: true });
         }
-      }
-      // Lock in this deviation for all future reflections
-      this.storedReflectionDeviation = deviationDeg;
+      });
     }
-    
-    const deviationRad = deviationDeg * DEG_TO_RAD;
-    this.angle += deviationRad;
-    
-    // Recalculate velocity components with new angle
-    this.vx = Math.cos(this.angle) * this.speed;
-    this.vy = Math.sin(this.angle) * this.speed;
+    const exportReplayBtn = el('exportReplayBtn');
+    if (exportReplayBtn) {
+      exportReplayBtn.addEventListener('click', () => {
+        if (!this.lastReplay) return;
+        downloadFile(`twister-replay-seed${this.lastReplay.seed}.json`, JSON.stringify(this.lastReplay));
+      });
+    }
+    const importReplayInput = el('importReplayInput');
+    if (importReplayInput) {
+      importReplayInput.addEventListener('change', async () => {
+        const file = importReplayInput.files && importReplayInput.files[0];
+        importReplayInput.value = '';
+        if (!file) return;
+        try {
+          this.loadReplay(JSON.parse(await file.text()));
+        } catch (err) {
+          this.setReplayStatus(`Could not load ${file.name}: ${err.message}`);
+        }
+      });
+    }
+    const recordRunBtn = el('recordRunBtn');
+    if (recordRunBtn) {
+      recordRunBtn.addEventListener('click', () => {
+        this.backend.post({ type: 'recordRun', on: !this.runRecording });
+      });
+    }
+    const runLogExports = { exportSamplesCsvBtn: 'samples', exportCastsCsvBtn: 'casts', exportHitsCsvBtn: 'hits', exportRunJsonBtn: null };
+    for (const [id, table] of Object.entries(runLogExports)) {
+      const b = el(id);
+      if (b) b.addEventListener('click', () => this.exportRunLog(table));
+    }
+    const replayPlayBtn = el('replayPlayBtn');
+    if (replayPlayBtn) {
+      replayPlayBtn.addEventListener('click', () => {
+        if (!this.replay) return;
+        // Play from the start again once the end is reached
+        if (!this.replay.playing && this.replay.t >= this.replay.player.endTime) this.seekReplay(this.replay.player.startTime);
+        this.setReplayPlaying(!this.replay.playing);
+      });
+    }
+    const exitReplayBtn = el('exitReplayBtn');
+    if (exitReplayBtn) {
+      exitReplayBtn.addEventListener('click', () => { this.exitReplay(); });
+    }
+    const replayTimeline = el('replayTimeline');
+    if (replayTimeline) {
+      replayTimeline.addEventListener('input', () => {
+        if (!this.replay) return;
+        this.setReplayPlaying(false);
+        this.seekReplay(Number(replayTimeline.value));
+      });
+    }
+
+    // New seed: the core resets on a seed change, so the next Start rolls a fresh pattern; put the seed in the link
+    const rerollSeedBtn = document.getElementById('rerollSeedBtn');
+    if (rerollSeedBtn) {
+      rerollSeedBtn.addEventListener('click', () => {
+        const seedElem = el('seed');
+        if (seedElem) seedElem.value = String(randomSeed());
+        this.applyConfig();
+        updateURL(this);
+      });
+    }
+  }
+
+  // One path is drawn at a time; its button becomes "Finish Path"
+  setDrawingPath(owner) {
+    this.drawingPath = owner;
+    for (const [key, ui] of Object.entries(WAYPOINT_PATHS)) {
+      const btn = el(ui.drawBtn);
+      if (btn) btn.textContent = key === owner ? 'Finish Path' : 'Draw Path';
+    }
+  }
+
+  // Waypoints go to the core through the config, like any other input
+  onPathChanged(owner) {
+    this.applyConfig();
+    this.renderPathStatus(owner);
+    updateURL(this);
   }
-  draw(ctx, colorOverride) {
+
+  renderPathStatus(owner) {
+    const status = el(WAYPOINT_PATHS[owner].status);
+    if (!status) return;
+    const n = this.paths[owner].length;
+    status.textContent = n ? `${n} waypoint${n === 1 ? '' : 's'}` : 'No waypoints';
+  }
+
+  // Dashed waypoint loop with a dot per point (world units); numbered in drawPathLabels
+  drawPath(ctx, path, rgb) {
     ctx.save();
-    ctx.fillStyle = colorOverride || '#7cc5ff';
+    ctx.strokeStyle = `rgba(${rgb}, 0.6)`;
+    ctx.fillStyle = `rgba(${rgb}, 0.8)`;
+    ctx.lineWidth = 1.5 / this.scale;
+    ctx.setLineDash([4 / this.scale, 4 / this.scale]);
     ctx.beginPath();
-    ctx.arc(this.x, this.y, this.radius, 0, TWO_PI);
-    ctx.fill();
+    path.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    if (path.length > 2) ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (const p of path) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 1.5, 0, TWO_PI);
+      ctx.fill();
+    }
     ctx.restore();
   }
-}
 
-/** Simulation */
-class Simulation {
-  constructor(canvas) {
+  drawPathLabels(ctx, path, rgb) {
+    ctx.save();
+    ctx.fillStyle = `rgb(${rgb})`;
+    ctx.font = '11px ui-sans-serif, system-ui, -apple-system';
+    path.forEach((p, i) => {
+      const px = this.toScreen(p.x, p.y);
+      ctx.fillText(String(i + 1), px.x + 5, px.y - 5);
+    });
+    ctx.restore();
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    const pauseBtn = el('pauseBtn');
+    if (pauseBtn) pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  }
+
+  // Single-stepping always pauses first so the stepped state stays on screen
+  stepTicks(n) {
+    this.setPaused(true);
+    this.backend.post({ type: 'step', ticks: n });
+  }
+
+  setRecording(on) {
+    this.recording = on;
+    const recordBtn = el('recordBtn');
+    if (recordBtn) recordBtn.textContent = on ? 'Stop Recording' : 'Record';
+    if (on) this.setReplayStatus('Recording…');
+  }
+
+  setRunRecording(on) {
+    this.runRecording = on;
+    const b = el('recordRunBtn');
+    if (b) b.textContent = on ? 'Stop Recording' : 'Record Run';
+    if (on) this.setRunLogStatus('Recording…');
+  }
+
+  setRunLogStatus(text) {
+    const status = el('runLogStatus');
+    if (status) status.textContent = text;
+  }
+
+  loadRunLog(log) {
+    this.lastRunLog = log;
+    for (const id of ['exportSamplesCsvBtn', 'exportCastsCsvBtn', 'exportHitsCsvBtn', 'exportRunJsonBtn']) {
+      const b = el(id);
+      if (b) b.disabled = false;
+    }
+    const duration = (log.endTime - log.startTime).toFixed(2);
+    const counts = `${log.samples.length.toLocaleString()} samples, ${log.casts.length.toLocaleString()} casts, ${log.hits.length.toLocaleString()} hits`;
+    this.setRunLogStatus(`Run: seed ${log.seed}, ${duration} s, ${counts}${log.truncated ? ' (truncated)' : ''}`);
+  }
+
+  exportRunLog(table) {
+    const log = this.lastRunLog;
+    if (!log) return;
+    const name = `twister-run-seed${log.seed}`;
+    if (table) downloadFile(`${name}-${table}.csv`, runLogCsv(log, table), 'text/csv');
+    else downloadFile(`${name}.json`, JSON.stringify(log));
+  }
+
+  setReplayStatus(text) {
+    const status = el('replayStatus');
+    if (status) status.textContent = text;
+  }
+
+  // Show a replay on the canvas; the live run stays frozen behind it until exitReplay()
+  loadReplay(replay) {
+    let player;
     try {
-      this.canvas = canvas;
-      this.ctx = canvas.getContext('2d');
-      this.width = canvas.width;
-      this.height = canvas.height;
-      this.scale = this.computeScale(); // pixels per world unit
-      this.lastTime = performance.now();
-      this.accum = 0;
-      this.fixedDt = 1 / 120; // high fidelity physics
-      this.maxTerrainStepPx = 2.0; // CCD safety step for terrain (pixels)
-
-      // Entities (positions in pixels, radii scaled from world units)
-      const cx = this.width / 2; const cy = this.height / 2;
-      this.caster = new Entity(cx - 40 * this.scale, cy + 30 * this.scale, CASTER_RADIUS_UNITS * this.scale, '#4aa3ff');
-      this.boss = new Entity(cx + 30 * this.scale, cy - 30 * this.scale, BOSS_RADIUS_UNITS * this.scale, '#ff6b6b');
-      this.casterLeash = true;
-
-      // State
-      this.projectiles = [];
-      this.running = false;
-      this.castAccumulator = 0;
-      this.castCooldown = 0; // computed from cast speed
-      this.currentSeals = 0; // Salvo seal tracking
-      this.lastSealAccumTime = 0; // for seal gain timing
-      this.barrageCooldownTimer = 0; // for non-Salvo barrage cooldown
-      this.barrageCastSchedule = []; // scheduled barrage repeats: {time, castNumber}
-      // Load from URL params first
-      const __params = parseURLParams();
-      const __pos = applyParamsToDOM(__params);
-      this.config = this.readConfigFromDOM();
-      this.arena = this.createArena(this.config.arenaType);
-      // Metrics history for twister charts
-      this.metrics = {
-        windowSec: 10,
-        samples: [], // {t, hitsTotal, hitsPerSec, dps, totalDamage, projAlive, cooldownPct}
-        lastSampleAt: performance.now(),
-        sampleIntervalMs: 200,
-      };
-      // Apply initial enemy radius from config
-      this.boss.r = clamp(this.config.bossRadius || BOSS_RADIUS_UNITS, 0.1, 999) * this.scale;
+      player = new ReplayPlayer(replay);
+    } catch (err) {
+      this.setReplayStatus(`Could not load replay: ${err.message}`);
+      return;
+    }
+    this.lastReplay = replay;
+    const pos = player.snapshotAt(player.startTime);
+    this.replay = {
+      player,
+      t: player.startTime,
+      playing: false,
+      view: null,
+      caster: new Entity(pos.caster.x, pos.caster.y, CASTER_RADIUS_UNITS, this.caster.color),
+      boss: new Entity(pos.boss.x, pos.boss.y, pos.boss.r, this.boss.color),
+      adds: [],
+      samples: player.series(METRIC_SAMPLE_INTERVAL_SEC),
+      logEnd: -1,
+    };
+    this.resize(this.width, this.height);
+    const timeline = el('replayTimeline');
+    if (timeline) {
+      timeline.min = String(player.startTime);
+      timeline.max = String(player.endTime);
+      timeline.disabled = false;
+    }
+    for (const id of ['replayPlayBtn', 'exitReplayBtn', 'exportReplayBtn']) {
+      const b = el(id);
+      if (b) b.disabled = false;
+    }
+    const events = replay.events.length.toLocaleString();
+    this.setReplayStatus(`Replay: seed ${replay.seed}, ${player.duration.toFixed(2)} s, ${events} events${replay.truncated ? ' (truncated)' : ''}`);
+    this.seekReplay(player.startTime);
+  }
 
-      // Apply positions from URL
-      if (__pos.casterWorld) {
-        const p = fromWorldNorm(this, __pos.casterWorld.x, __pos.casterWorld.y);
-        this.caster.x = p.x; this.caster.y = p.y;
-      } else if (__pos.caster) {
-        this.caster.x = __pos.caster.x * this.width; this.caster.y = __pos.caster.y * this.height;
+  seekReplay(t) {
+    const r = this.replay;
+    r.t = r.player.clampTime(t);
+    r.view = r.player.snapshotAt(r.t);
+    Object.assign(r.caster, r.view.caster);
+    Object.assign(r.boss, r.view.boss);
+    r.adds = r.view.adds.map(a => new Entity(a.x, a.y, a.r, ADD_COLOR, a.id));
+    const timeline = el('replayTimeline');
+    if (timeline && document.activeElement !== timeline) timeline.value = String(r.t);
+    const readout = el('replayTimeReadout');
+    if (readout) readout.textContent = `${(r.t - r.player.startTime).toFixed(3)} / ${r.player.duration.toFixed(3)} s`;
+    this.renderReplayLog();
+  }
+
+  setReplayPlaying(playing) {
+    this.replay.playing = playing;
+    const b = el('replayPlayBtn');
+    if (b) b.textContent = playing ? 'Pause' : 'Play';
+  }
+
+  exitReplay() {
+    if (!this.replay) return;
+    this.replay = null;
+    this.resize(this.width, this.height);
+    const timeline = el('replayTimeline');
+    if (timeline) timeline.disabled = true;
+    for (const id of ['replayPlayBtn', 'exitReplayBtn']) {
+      const b = el(id);
+      if (b) b.disabled = true;
+    }
+    const log = el('replayLog');
+    if (log) log.innerHTML = '';
+    this.setReplayStatus(this.lastReplay ? 'Live view. The last replay can still be exported.' : 'Idle');
+  }
+
+  // Most recent events at the playhead; only rebuilt when the playhead crosses an event
+  renderReplayLog() {
+    const r = this.replay;
+    const log = el('replayLog');
+    if (!log) return;
+    const end = lastIndexAtOrBefore(r.player.log, r.t);
+    if (end === r.logEnd) return;
+    r.logEnd = end;
+    log.innerHTML = '';
+    for (const e of r.player.eventsUpTo(r.t, REPLAY_LOG_LINES)) {
+      const li = document.createElement('li');
+      li.textContent = describeReplayEvent(e);
+      if (e.type === 'hit') li.className = e.registered ? 'hit' : 'blocked';
+      log.appendChild(li);
+    }
+  }
+
+  // Monte Carlo batch on the current config and positions (headless, chunked so the page stays live)
+  async runBatch() {
+    if (this.batchToken) return;
+    const runBtn = el('runBatchBtn'), cancelBtn = el('cancelBatchBtn'), progress = el('batchProgress');
+    const token = { cancelled: false };
+    this.batchToken = token;
+    if (runBtn) runBtn.disabled = true;
+    if (cancelBtn) cancelBtn.disabled = false;
+    const started = performance.now();
+    try {
+      const result = await runBatch(this.config, this.getPositions(), {
+        casts: Number(el('batchCasts')?.value) || 1000,
+        seeds: Number(el('batchSeeds')?.value) || 50,
+        token,
+        onProgress: (f) => { if (progress) progress.textContent = `Running… ${(f * 100).toFixed(0)}%`; },
+      });
+      const secs = ((performance.now() - started) / 1000).toFixed(1);
+      if (progress) {
+        progress.textContent = `${result.cancelled ? 'Cancelled' : 'Done'}: ${result.runs.length} seed(s), ${result.hitsPerCast.n} casts in ${secs}s`;
       }
-      if (__pos.bossWorld) {
-        const p = fromWorldNorm(this, __pos.bossWorld.x, __pos.bossWorld.y);
-        this.boss.x = p.x; this.boss.y = p.y;
-      } else if (__pos.boss) {
-        this.boss.x = __pos.boss.x * this.width; this.boss.y = __pos.boss.y * this.height;
+      this.renderBatchResults(result);
+    } finally {
+      this.batchToken = null;
+      if (runBtn) runBtn.disabled = false;
+      if (cancelBtn) cancelBtn.disabled = true;
+    }
+  }
+
+  // Decode a pasted PoB2 export locally and fill the Character Stats inputs from its Twister group
+  async importPob() {
+    const code = el('pobCode') ? el('pobCode').value.trim() : '';
+    const status = el('pobStatus');
+    if (!code) { if (status) status.textContent = 'Paste a PoB2 export code first.'; return; }
+    let result;
+    try {
+      result = await importPobCode(code);
+    } catch (err) {
+      if (status) status.textContent = `Could not import: ${err.message}`;
+      this.renderPobSummary(null);
+      return;
+    }
+    applyConfigToDOM(result.values);
+    // Refreshes the barrage window readout, applies the config and writes the URL
+    this.updateBarrageTiming();
+    const { build } = result;
+    const who = [build.ascendClassName || build.className, build.level ? `level ${build.level}` : ''].filter(Boolean).join(', ');
+    if (status) status.textContent = `Imported${who ? ` ${who}` : ''}: ${Object.keys(result.values).length} setting(s) filled, ${result.unmapped.length} not mapped.`;
+    this.renderPobSummary(result);
+  }
+
+  renderPobSummary(result) {
+    const table = el('pobSummary');
+    if (!table) return;
+    if (!result) { table.innerHTML = ''; return; }
+    let html = '<tr><th>Setting</th><th>Value</th><th>From</th></tr>';
+    for (const m of result.mapped) html += `<tr><td>${escapeHTML(m.label)}</td><td>${escapeHTML(m.value)}</td><td>${escapeHTML(m.source)}</td></tr>`;
+    for (const u of result.unmapped) html += `<tr class="unmapped"><td>${escapeHTML(u.label)}</td><td>-</td><td>${escapeHTML(u.reason)}</td></tr>`;
+    table.innerHTML = html;
+  }
+
+  // Scenario library: the current inputs, waypoints, timing table, placed positions and chart window under a name
+  currentScenario(name) {
+    return {
+      name,
+      savedAt: new Date().toISOString(),
+      config: this.readConfigFromDOM(),
+      positions: this.getPositions(),
+      windowSec: this.windowSec,
+    };
+  }
+
+  // Saving under an existing name replaces that entry
+  saveScenario() {
+    const nameElem = el('scenarioName');
+    const name = (nameElem ? nameElem.value : '').trim();
+    if (!name) { this.setScenarioStatus('Enter a name to save the current setup.'); return; }
+    const list = loadScenarioLibrary();
+    const i = list.findIndex(s => s.name === name);
+    if (i >= 0) list[i] = this.currentScenario(name);
+    else list.push(this.currentScenario(name));
+    this.storeScenarios(list, `${i >= 0 ? 'Updated' : 'Saved'} "${name}".`);
+  }
+
+  storeScenarios(list, status) {
+    try {
+      saveScenarioLibrary(list);
+      this.setScenarioStatus(status);
+    } catch (err) {
+      this.setScenarioStatus(`Could not save: ${err.message}`);
+    }
+    this.renderScenarioList();
+  }
+
+  setScenarioStatus(text) {
+    const status = el('scenarioStatus');
+    if (status) status.textContent = text;
+  }
+
+  renderScenarioList() {
+    const table = el('scenarioList');
+    if (!table) return;
+    const list = loadScenarioLibrary();
+    if (!list.length) { table.innerHTML = ''; return; }
+    let html = '<tr><th>Name</th><th>Saved</th><th></th></tr>';
+    list.forEach((s, i) => {
+      const saved = s.savedAt ? new Date(s.savedAt).toLocaleDateString() : '-';
+      html += `<tr><td><input type="text" value="${escapeHTML(s.name)}" data-scenario-name="${i}" /></td><td>${escapeHTML(saved)}</td>` +
+        `<td><button data-scenario-action="load" data-scenario="${i}">Load</button> ` +
+        `<button data-scenario-action="duplicate" data-scenario="${i}">Duplicate</button> ` +
+        `<button data-scenario-action="delete" data-scenario="${i}">Delete</button></td></tr>`;
+    });
+    table.innerHTML = html;
+  }
+
+  onScenarioAction(action, index) {
+    const list = loadScenarioLibrary();
+    const s = list[index];
+    if (!s) return;
+    if (action === 'load') {
+      this.loadScenario(s);
+      this.setScenarioStatus(`Loaded "${s.name}".`);
+    } else if (action === 'duplicate') {
+      const copy = { ...s, name: uniqueScenarioName(list, s.name), savedAt: new Date().toISOString() };
+      list.splice(index + 1, 0, copy);
+      this.storeScenarios(list, `Duplicated as "${copy.name}".`);
+    } else if (action === 'delete') {
+      list.splice(index, 1);
+      this.storeScenarios(list, `Deleted "${s.name}".`);
+    }
+  }
+
+  renameScenario(index, name) {
+    const list = loadScenarioLibrary();
+    const s = list[index];
+    const trimmed = name.trim();
+    if (!s || !trimmed || trimmed === s.name) { this.renderScenarioList(); return; }
+    if (list.some(other => other.name === trimmed)) {
+      this.setScenarioStatus(`There is already a scenario called "${trimmed}".`);
+      this.renderScenarioList();
+      return;
+    }
+    const old = s.name;
+    s.name = trimmed;
+    this.storeScenarios(list, `Renamed "${old}" to "${trimmed}".`);
+  }
+
+  // Restore a scenario into the inputs and page state; the live run restarts from its positions
+  loadScenario(scenario) {
+    if (this.replay) this.exitReplay();
+    this.setDrawingPath(null);
+    const cfg = { ...DEFAULT_CONFIG, ...scenario.config };
+    applyConfigToDOM(cfg);
+    this.paths = {
+      boss: (cfg.bossPath || []).map(p => ({ x: p.x, y: p.y })),
+      caster: (cfg.casterPath || []).map(p => ({ x: p.x, y: p.y })),
+    };
+    for (const owner of Object.keys(WAYPOINT_PATHS)) this.renderPathStatus(owner);
+    this.barrageTable = (cfg.barrageTimingTable || []).map(r => ({ count: r.count, window: r.window }));
+    this.renderBarrageTable();
+    const { caster, boss, adds } = scenario.positions;
+    this.casterHome = { x: caster.x, y: caster.y };
+    this.bossHome = { x: boss.x, y: boss.y };
+    Object.assign(this.caster, this.casterHome);
+    Object.assign(this.boss, this.bossHome);
+    this.adds = (adds || []).map((a, i) => new Entity(a.x, a.y, clamp(a.r || BOSS_RADIUS_UNITS, 0.1, 999), ADD_COLOR, `add${i + 1}`));
+    this.renderAddsList();
+    const timeScaleElem = el('timeScale');
+    if (scenario.windowSec && timeScaleElem) timeScaleElem.value = String(scenario.windowSec);
+    this.windowSec = clamp(Number(timeScaleElem?.value) || this.windowSec, 1, 600);
+    // Recomputes the barrage window and applies the config (and writes the URL)
+    this.updateBarrageTiming();
+    this.initBackend();
+  }
+
+  exportScenarios() {
+    const scenarios = loadScenarioLibrary();
+    if (!scenarios.length) { this.setScenarioStatus('No saved scenarios to export.'); return; }
+    downloadFile('twister-scenarios.json', JSON.stringify({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, scenarios }, null, 2));
+  }
+
+  // Imported scenarios replace saved ones with the same name, so re-importing a shared set updates it
+  importScenarios(data) {
+    const imported = parseScenarioFile(data);
+    const list = loadScenarioLibrary();
+    let replaced = 0;
+    for (const s of imported) {
+      const i = list.findIndex(other => other.name === s.name);
+      if (i >= 0) { list[i] = s; replaced++; } else list.push(s);
+    }
+    this.storeScenarios(list, `Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}${replaced ? ` (${replaced} replaced)` : ''}.`);
+  }
+
+  // A/B comparison: the current settings become side A or B
+  captureCompareConfig(label) {
+    this.compareConfigs[label] = this.readConfigFromDOM();
+    this.updateCompareStatus();
+  }
+
+  updateCompareStatus() {
+    const { A, B } = this.compareConfigs;
+    const status = el('compareStatus');
+    if (status) {
+      if (!A || !B) {
+        status.textContent = `A: ${A ? 'captured' : 'not captured'} · B: ${B ? 'captured' : 'not captured'}`;
+      } else {
+        // The seed is shared by both sides, so it never counts as a difference
+        const diff = Object.keys({ ...A, ...B }).filter(k => k !== 'seed' && JSON.stringify(A[k]) !== JSON.stringify(B[k]));
+        status.textContent = diff.length ? `B differs from A in: ${diff.join(', ')}` : 'A and B have the same settings';
       }
+    }
+    const viewBtn = el('compareViewBtn'), runBtn = el('runCompareBtn');
+    if (viewBtn) viewBtn.disabled = !(A && B) && !this.split;
+    if (runBtn) runBtn.disabled = !(A && B) || !!this.compareToken;
+  }
 
-      // Ensure we always populate world-normalized positions in URL for sharing (prefer world coords only)
-      updateURL(this);
+  // Split view: both captured configs run live side by side from the current seed and positions
+  openSplitView() {
+    const { A, B } = this.compareConfigs;
+    if (!A || !B || this.split) return;
+    const positions = this.getPositions();
+    this.split = {
+      sides: [['A', A], ['B', B]].map(([label, config]) => this.createSplitSide(label, { ...config, seed: this.config.seed }, positions)),
+    };
+    const view = el('compareView');
+    if (view) view.hidden = false;
+    const btn = el('compareViewBtn');
+    if (btn) btn.textContent = 'Close Split View';
+  }
+
+  closeSplitView() {
+    if (!this.split) return;
+    for (const side of this.split.sides) side.backend.dispose();
+    this.split = null;
+    const view = el('compareView');
+    if (view) view.hidden = true;
+    const btn = el('compareViewBtn');
+    if (btn) btn.textContent = 'Split View';
+    this.updateCompareStatus();
+  }
+
+  // One side of the split view: its own backend, started on arrival, plus local entities for drawing
+  createSplitSide(label, config, positions) {
+    const side = {
+      label,
+      config,
+      view: null,
+      samples: [],
+      advancePending: false,
+      arena: null,
+      scale: 1,
+      caster: new Entity(positions.caster.x, positions.caster.y, CASTER_RADIUS_UNITS, '#4aa3ff'),
+      boss: new Entity(positions.boss.x, positions.boss.y, config.bossRadius, '#ff6b6b', 'boss'),
+      adds: positions.adds.map(a => new Entity(a.x, a.y, a.r, ADD_COLOR, a.id)),
+    };
+    side.boss.hitbox = createHitbox(config);
+    const init = () => {
+      side.advancePending = false;
+      side.backend.post({ type: 'init', config, positions, windowSec: this.windowSec });
+      side.backend.post({ type: 'start' });
+    };
+    side.backend = new SimBackend((msg) => this.onSplitMessage(side, msg), init);
+    init();
+    return side;
+  }
+
+  onSplitMessage(side, msg) {
+    if (msg.type !== 'snapshot' || !this.split) return;
+    if (msg.advanced) side.advancePending = false;
+    side.samples = mergeSnapshotSamples(side.samples, side.view, msg, this.windowSec);
+    Object.assign(side.caster, msg.caster);
+    Object.assign(side.boss, msg.boss);
+    for (const a of msg.adds) {
+      const add = side.adds.find(e => e.id === a.id);
+      if (add) { add.x = a.x; add.y = a.y; }
+    }
+    side.view = msg;
+  }
+
+  // Both sides advance the same simulated time, so their clocks and charts stay aligned
+  advanceSplit(dt) {
+    const sides = this.split.sides;
+    if (sides.some(s => s.advancePending)) return;
+    const simDt = dt * (this.speed === 'max' ? COMPARE_MAX_SPEED : this.speed);
+    for (const side of sides) {
+      side.advancePending = true;
+      side.backend.post({ type: 'advance', dt: simDt });
+    }
+  }
+
+  drawSplit() {
+    for (const side of this.split.sides) this.drawSplitSide(side);
+    this.drawCompareChart();
+  }
+
+  drawSplitSide(side) {
+    const canvas = el(`compareCanvas${side.label}`);
+    if (!canvas) return;
+    const w = Math.max(1, canvas.clientWidth), h = Math.max(1, canvas.clientHeight);
+    if (canvas.width !== w || canvas.height !== h || !side.arena) {
+      canvas.width = w;
+      canvas.height = h;
+      side.scale = arenaFitScale(w, h);
+      side.arena = createArena(side.config.arenaType, w, h, side.scale);
+    }
+    const ctx = canvas.getContext('2d');
+    const view = side.view;
+    ctx.clearRect(0, 0, w, h);
+    side.arena.draw(ctx);
+    ctx.save();
+    ctx.translate(w / 2, h / 2);
+    ctx.scale(side.scale, side.scale);
+    side.caster.draw(ctx);
+    side.boss.draw(ctx);
+    for (const a of side.adds) a.draw(ctx);
+    if (view) this.drawProjectiles(ctx, view);
+    ctx.restore();
+    if (!view) return;
+    const bossPx = { x: w / 2 + side.boss.x * side.scale, y: h / 2 + side.boss.y * side.scale };
+    if (side.config.bossLife > 0) this.drawBossLifeBar(ctx, bossPx, side.boss.r * side.scale, view, side.config);
+    const killed = view.killTime !== null && view.killTime !== undefined;
+    ctx.save();
+    ctx.fillStyle = COMPARE_COLORS[side.label];
+    ctx.font = '12px ui-sans-serif, system-ui, -apple-system';
+    ctx.fillText(`${side.label} · ${view.time.toFixed(2)} s · Hits ${formatShortNumber(view.hitsTotal, 1)} · DPS ${formatShortNumber(view.dps, 1)}` +
+      (killed ? ` · TTK ${view.killTime.toFixed(2)} s` : ''), 10, 18);
+    ctx.restore();
+  }
+
+  // The selected metric for A and B overlaid on one time axis and value scale
+  drawCompareChart() {
+    const c = el('compareChart');
+    if (!c) return;
+    const w = Math.max(1, c.clientWidth);
+    if (c.width !== w) c.width = w;
+    const h = c.height;
+    const key = el('compareMetric')?.value in COMPARE_METRICS ? el('compareMetric').value : 'dps';
+    const metric = COMPARE_METRICS[key];
+    const sides = this.split.sides;
+    const ctx = c.getContext('2d');
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    ctx.strokeStyle = '#2a3146';
+    ctx.beginPath();
+    ctx.moveTo(0, h - 0.5);
+    ctx.lineTo(w, h - 0.5);
+    ctx.stroke();
+    const values = sides.flatMap(s => s.samples.map(p => p[key]));
+    const tMax = Math.max(0, ...sides.flatMap(s => s.samples.map(p => p.t)));
+    const tMin = tMax - this.windowSec;
+    const min = Math.min(0, ...values);
+    const max = Math.max(...values, min + 1e-9);
+    const x = (t) => ((t - tMin) / this.windowSec) * (w - 1);
+    const y = (v) => h - ((v - min) / (max - min)) * (h - 16) - 1;
+    ctx.lineWidth = 1.5;
+    for (const side of sides) {
+      if (side.samples.length < 2) continue;
+      ctx.strokeStyle = COMPARE_COLORS[side.label];
+      ctx.beginPath();
+      side.samples.forEach((p, i) => { if (i === 0) ctx.moveTo(x(p.t), y(p[key])); else ctx.lineTo(x(p.t), y(p[key])); });
+      ctx.stroke();
+    }
+    ctx.font = '11px ui-sans-serif, system-ui, -apple-system';
+    ctx.fillStyle = '#a8b0c0';
+    ctx.fillText(`${metric.label} (max ${metric.format(max)})`, 4, 11);
+    let lx = w - 4;
+    for (const side of sides.slice().reverse()) {
+      const last = side.samples[side.samples.length - 1];
+      const text = `${side.label} ${last ? metric.format(last[key]) : '-'}`;
+      lx -= ctx.measureText(text).width;
+      ctx.fillStyle = COMPARE_COLORS[side.label];
+      ctx.fillText(text, lx, 11);
+      lx -= 12;
+    }
+    ctx.restore();
+  }
 
-    // Hit tracking
-    this.hitsTotal = 0;
-    this.totalDamage = 0;
-    this.hitTimestamps = []; // for recent rate window
-    this.castTargetLocks = new Map(); // key: castId+targetId -> nextAllowedHitTime
-    
-    // Per-cast hit tracking
-    this.currentInstanceId = null; // the instance id for current full cast (includes barrage)
-    this.currentCastHits = 0; // hits in current cast (including barrage repeats)
-    this.castHitHistory = []; // history of max hits per cast for averaging
-    this.projPerCastHistory = []; // history of max projectiles per cast
-    this.completedCastInstances = new Map(); // instanceId -> { hits: count, projCount: count, completed: bool }
+  // Repeated runs of A and B on the same seeds; the delta table tests whether B really differs from A
+  async runCompare() {
+    const { A, B } = this.compareConfigs;
+    if (this.compareToken || !A || !B) return;
+    const cancelBtn = el('cancelCompareBtn'), progress = el('compareProgress');
+    const token = { cancelled: false };
+    this.compareToken = token;
+    this.updateCompareStatus();
+    if (cancelBtn) cancelBtn.disabled = false;
+    const started = performance.now();
+    const seed = this.config.seed;
+    try {
+      const result = await compareBatches({ ...A, seed }, { ...B, seed }, this.getPositions(), {
+        casts: Number(el('compareCasts')?.value) || 200,
+        seeds: Number(el('compareSeeds')?.value) || 20,
+        token,
+        onProgress: (f) => { if (progress) progress.textContent = `Running… ${(f * 100).toFixed(0)}%`; },
+      });
+      const secs = ((performance.now() - started) / 1000).toFixed(1);
+      if (progress) progress.textContent = `${result.cancelled ? 'Cancelled' : 'Done'}: ${result.a.runs.length} seed(s) per side in ${secs}s`;
+      this.renderCompareResults(result);
+    } finally {
+      this.compareToken = null;
+      this.updateCompareStatus();
+      if (cancelBtn) cancelBtn.disabled = true;
+    }
+  }
 
-    // Input
-    this.dragging = null; // 'caster' | 'boss'
-    this.installInput();
+  renderCompareResults(result) {
+    const table = el('compareResults');
+    if (!table) return;
+    if (!result.b) { table.innerHTML = ''; return; }
+    const labels = { hitsPerCast: ['Hits / cast', 2], dps: ['DPS', null], ttk: ['TTK (s)', 2] };
+    const rows = result.deltas.map(d => {
+      const [label, digits] = labels[d.metric];
+      const f = (v) => (digits === null ? formatShortNumber(v, 1) : v.toFixed(digits));
+      const sign = d.delta > 0 ? '+' : '';
+      const pct = d.deltaPct === null ? '-' : `${sign}${d.deltaPct.toFixed(1)}%`;
+      const p = d.p === null ? '-' : d.p < 0.001 ? '< 0.001' : d.p.toFixed(3);
+      return `<tr${d.p !== null && d.p < 0.05 ? ' class="significant"' : ''}><td>${label}</td><td>${f(d.a.mean)}</td><td>${f(d.b.mean)}</td>` +
+        `<td>${sign}${f(d.delta)}</td><td>${pct}</td><td>${p}</td></tr>`;
+    });
+    // Time to kill is only compared when both sides killed the boss at least once
+    const runs = result.a.runs.length;
+    if ((result.a.kills || result.b.kills) && !result.deltas.some(d => d.metric === 'ttk')) {
+      rows.push(`<tr><td>TTK (s)</td><td colspan="5">Killed A ${result.a.kills}/${runs}, B ${result.b.kills}/${result.b.runs.length}</td></tr>`);
+    }
+    table.innerHTML = '<tr><th>Metric</th><th>A</th><th>B</th><th>Δ</th><th>Δ%</th><th>p</th></tr>' + rows.join('');
+  }
 
-    // UI
-    this.installUI();
+  // Sweep the boss or caster over the arena with a short batch per cell; cells paint as they finish
+  async runHeatmap() {
+    if (this.heatmapToken) return;
+    const runBtn = el('runHeatmapBtn'), cancelBtn = el('cancelHeatmapBtn'), progress = el('heatmapProgress');
+    const token = { cancelled: false };
+    this.heatmapToken = token;
+    if (runBtn) runBtn.disabled = true;
+    if (cancelBtn) cancelBtn.disabled = false;
+    const mover = el('heatmapMover')?.value === 'caster' ? 'caster' : 'boss';
+    const cellSize = clamp(Number(el('heatmapCellSize')?.value) || 20, 2, ARENA_RADIUS_UNITS);
+    const positions = this.getPositions();
+    this.heatmap = { mover, cellSize, fixed: positions[mover === 'boss' ? 'caster' : 'boss'], cells: [] };
+    const heatmap = this.heatmap;
+    const started = performance.now();
+    try {
+      const result = await runHeatmap(this.config, positions, {
+        mover,
+        cellSize,
+        casts: Number(el('heatmapCasts')?.value) || 20,
+        seeds: Number(el('heatmapSeeds')?.value) || 2,
+        token,
+        onCell: (cell) => heatmap.cells.push(cell),
+        onProgress: (f) => { if (progress) progress.textContent = `Running… ${(f * 100).toFixed(0)}%`; },
+      });
+      const secs = ((performance.now() - started) / 1000).toFixed(1);
+      if (progress) progress.textContent = `${result.cancelled ? 'Cancelled' : 'Done'}: ${result.cells.length} / ${result.total} cells in ${secs}s`;
+    } finally {
+      this.heatmapToken = null;
+      if (runBtn) runBtn.disabled = false;
+      if (cancelBtn) cancelBtn.disabled = true;
+    }
+  }
 
-      requestAnimationFrame((t) => this.loop(t));
-    } catch (err) {
-      console.error('Simulation constructor error:', err);
-      // At minimum, ensure we have a valid canvas context to draw error message
-      if (this.ctx) {
-        this.ctx.fillStyle = '#ff6666';
-        this.ctx.font = '16px Arial';
-        this.ctx.fillText('Error initializing simulation. Check console.', 20, 40);
-      }
+  // Search caster (or caster + boss) positions for the most hits per cast
+  async runFinder() {
+    if (this.finderToken) return;
+    const runBtn = el('runFinderBtn'), cancelBtn = el('cancelFinderBtn'), progress = el('finderProgress');
+    const token = { cancelled: false };
+    this.finderToken = token;
+    if (runBtn) runBtn.disabled = true;
+    if (cancelBtn) cancelBtn.disabled = false;
+    const started = performance.now();
+    try {
+      const result = await findBestPositions(this.config, this.getPositions(), {
+        mode: el('finderMode')?.value,
+        cellSize: clamp(Number(el('finderCellSize')?.value) || 20, 2, ARENA_RADIUS_UNITS),
+        candidates: Number(el('finderCandidates')?.value) || 150,
+        casts: Number(el('finderScreenCasts')?.value) || 10,
+        finalCasts: Number(el('finderFinalCasts')?.value) || 100,
+        top: clamp(Number(el('finderTop')?.value) || 5, 1, 20),
+        token,
+        onProgress: (f) => { if (progress) progress.textContent = `Searching… ${(f * 100).toFixed(0)}%`; },
+      });
+      const secs = ((performance.now() - started) / 1000).toFixed(1);
+      if (progress) progress.textContent = `${result.cancelled ? 'Cancelled' : 'Done'}: ${result.evaluated} candidates screened in ${secs}s`;
+      this.finder = result;
+      this.renderFinderResults();
+    } finally {
+      this.finderToken = null;
+      if (runBtn) runBtn.disabled = false;
+      if (cancelBtn) cancelBtn.disabled = true;
     }
   }
 
-  // Enemy behavior helpers (separate for clarity and testability)
-  applySplit(proj, nowTs) {
-    const n = Math.max(1, proj.splitCount);
-    for (let i = 0; i < n; i++) {
-      const theta = (i / n) * TWO_PI;
-      this.projectiles.push(new Projectile({
-        castId: proj.castId,
-        instanceId: proj.instanceId,
-        barrageRepeatIndex: proj.barrageRepeatIndex,
-        x: proj.x,
-        y: proj.y,
-        angle: theta,
-        speed: proj.speed,
-        now: nowTs,
-        duration: Math.max(0, proj.duration - proj.age(nowTs)),
-        casterRef: this.caster,
-        pierceCount: proj.pierceRemaining,
-        forkTimes: proj.forkRemaining,
-        chainCount: proj.chainRemaining,
-        splitCount: 0,
-        twisterRadius: this.config.twisterRadius,
-        damageMultiplier: proj.damageMultiplier,
-      }));
-    }
-    return 'remove';
-  }
-
-  applyPierce(proj, dx, dy, d) {
-    proj.pierceRemaining -= 1;
-    // Nudge forward to avoid persistent overlap on the rim after a pierce
-    const nx = dx / (d || 1); const ny = dy / (d || 1);
-    proj.x = this.boss.x + nx * (this.boss.r + proj.radius + 0.5);
-    return 'keep';
-  }
-
-  applyFork(proj, nowTs) {
-    const base = Math.atan2(proj.vy, proj.vx);
-    const childAngles = [base + FORK_ANGLE_RAD, base - FORK_ANGLE_RAD];
-    if (Math.random() * 100 < this.config.forkChance) childAngles.push(base);
-    for (const a of childAngles) {
-      this.projectiles.push(new Projectile({
-        castId: proj.castId,
-        instanceId: proj.instanceId,
-        barrageRepeatIndex: proj.barrageRepeatIndex,
-        x: proj.x,
-        y: proj.y,
-        angle: a,
-        speed: proj.speed,
-        now: nowTs,
-        duration: Math.max(0, proj.duration - proj.age(nowTs)),
-        casterRef: this.caster,
-        pierceCount: proj.pierceRemaining,
-        forkTimes: proj.forkRemaining - 1,
-        chainCount: proj.chainRemaining,
-        splitCount: 0,
-        twisterRadius: this.config.twisterRadius,
-        damageMultiplier: proj.damageMultiplier,
-      }));
-    }
-    return 'remove';
-  }
-
-  applyChain(proj, dx, dy, d) {
-    // Behave like pierce when no alternate target exists: decrement and continue through
-    if (proj.chainRemaining > 0) proj.chainRemaining -= 1;
-    const nx = dx / (d || 1); const ny = dy / (d || 1);
-    proj.x = this.boss.x + nx * (this.boss.r + proj.radius + 0.5);
-    return 'keep';
-  }
-
-  computeScale() {
-    // Fit target arena diameter inside the canvas with margin; keep scale >= 0.5 to avoid extremes
-    const diameter = ARENA_RADIUS_UNITS * 2;
-    const marginPx = 20;
-    const sx = (this.width - marginPx * 2) / diameter;
-    const sy = (this.height - marginPx * 2) / diameter;
-    return Math.max(0.5, Math.min(sx, sy));
+  renderFinderResults() {
+    const table = el('finderResults');
+    if (!table) return;
+    if (!this.finder || !this.finder.candidates.length) { table.innerHTML = ''; return; }
+    const both = this.finder.mode === 'both';
+    const xy = (p) => `${p.x.toFixed(0)}, ${p.y.toFixed(0)}`;
+    const ci = (s, f) => `±${f((s.ci95[1] - s.ci95[0]) / 2)}`;
+    let html = `<tr><th>#</th><th>Caster</th>${both ? '<th>Boss</th>' : ''}<th>Hits / cast</th><th>DPS</th><th>P(&gt; next)</th><th></th></tr>`;
+    this.finder.candidates.forEach((c, i) => {
+      html += `<tr><td>${i + 1}</td><td>${xy(c.caster)}</td>${both ? `<td>${xy(c.boss)}</td>` : ''}` +
+        `<td>${c.hitsPerCast.mean.toFixed(2)} ${ci(c.hitsPerCast, v => v.toFixed(2))}</td>` +
+        `<td>${formatShortNumber(c.dps.mean, 1)} ${ci(c.dps, v => formatShortNumber(v, 1))}</td>` +
+        `<td>${c.pAboveNext === null ? '–' : `${(c.pAboveNext * 100).toFixed(0)}%`}</td>` +
+        `<td><button type="button" data-use-candidate="${i}">Use</button></td></tr>`;
+    });
+    table.innerHTML = html;
   }
 
-  readConfigFromDOM() {
-    const getNum = (id) => {
-      const elem = el(id);
-      return elem ? Number(elem.value) : 0;
-    };
-    const getSel = (id) => {
-      const elem = el(id);
-      return elem ? elem.value : 'circle';
-    };
-    const getCheckbox = (id) => {
-      const elem = el(id);
-      return elem ? elem.checked : false;
-    };
-    return {
-      arenaType: getSel('arenaType'),
-      avgHit: getNum('avgHit'),
-      increasedProjSpeed: getNum('projSpeedMod') || 0, // percentage increase
-      projectileCount: getNum('projectileCount'),
-      whirlwindStages: getNum('whirlwindStages'),
-      twisterRadius: getNum('twisterRadius'),
-      duration: getNum('duration'),
-      pierceCount: 999, // Twisters always pierce
-      forkTimes: 0,
-      chainCount: 0,
-      splitCount: 0,
-      forkChance: 0,
-      bossRadius: getNum('bossRadius') || BOSS_RADIUS_UNITS,
-      maxSeals: getNum('maxSeals'),
-      salvoSealCount: getNum('salvoSealCount'),
-      barrageCount: getNum('barrageCount'),
-      barrageTimeInterval: getNum('barrageTimeInterval'),
-      timeBetweenBarrageRepeats: getNum('timeBetweenBarrageRepeats'),
-      baseSealGainFrequency: getNum('baseSealGainFrequency'),
-      baseProjSpeed: getNum('baseProjSpeed'),
-      increasedSealGainFrequency: getNum('increasedSealGainFrequency'),
-      salvoSupport: getCheckbox('salvoSupport'),
-    };
+  // Move the entities to a candidate, as if they had been dragged there
+  useFinderCandidate(index) {
+    const c = this.finder && this.finder.candidates[index];
+    if (!c || this.replay) return;
+    Object.assign(this.caster, c.caster);
+    this.casterHome = { ...c.caster };
+    Object.assign(this.boss, c.boss);
+    this.bossHome = { ...c.boss };
+    this.backend.post({ type: 'positions', positions: this.getPositions() });
+    updateURL(this);
   }
 
-  createArena(type) {
-    if (type === 'square') return new SquareArena(this.width, this.height, this.scale);
-    if (type === 'tjunction') return new TJunctionArena(this.width, this.height, this.scale);
-    return new CircleArena(this.width, this.height, this.scale);
+  // Ranked rings at candidate caster positions (world units), joined to their boss in 'both' mode
+  drawFinderMarkers(ctx) {
+    const both = this.finder.mode === 'both';
+    ctx.save();
+    ctx.lineWidth = 1.5 / this.scale;
+    this.finder.candidates.forEach((c, i) => {
+      ctx.strokeStyle = i === 0 ? '#ffd166' : 'rgba(255, 209, 102, 0.6)';
+      if (both) {
+        ctx.setLineDash([4 / this.scale, 4 / this.scale]);
+        ctx.beginPath();
+        ctx.moveTo(c.caster.x, c.caster.y);
+        ctx.lineTo(c.boss.x, c.boss.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const s = 3;
+        ctx.beginPath();
+        ctx.moveTo(c.boss.x - s, c.boss.y - s); ctx.lineTo(c.boss.x + s, c.boss.y + s);
+        ctx.moveTo(c.boss.x + s, c.boss.y - s); ctx.lineTo(c.boss.x - s, c.boss.y + s);
+        ctx.stroke();
+      }
+      ctx.beginPath();
+      ctx.arc(c.caster.x, c.caster.y, CASTER_RADIUS_UNITS + 2, 0, TWO_PI);
+      ctx.stroke();
+    });
+    ctx.restore();
   }
 
-  installUI() {
-    const ids = [
-      'arenaType','avgHit','projSpeedMod','projectileCount','whirlwindStages','twisterRadius','duration','bossRadius','maxSeals','salvoSealCount','barrageCount','barrageTimeInterval','timeBetweenBarrageRepeats','baseSealGainFrequency','baseProjSpeed','increasedSealGainFrequency'
-    ];
-    for (const id of ids) {
-      const elem = document.getElementById(id);
-      if (elem) {
-        elem.addEventListener('input', () => {
-          // Ensure simulation is not running when updating config
-          this.running = false;
-          this.config = this.readConfigFromDOM();
-          this.arena = this.createArena(this.config.arenaType);
-          // live-apply enemy radius
-          this.boss.r = clamp(this.config.bossRadius, 0.1, 999) * this.scale;
+  // Rank and expected DPS next to each marker (screen space)
+  drawFinderLabels(ctx) {
+    ctx.save();
+    ctx.font = '11px ui-sans-serif, system-ui, -apple-system';
+    this.finder.candidates.forEach((c, i) => {
+      const p = this.toScreen(c.caster.x, c.caster.y);
+      const half = (c.dps.ci95[1] - c.dps.ci95[0]) / 2;
+      ctx.fillStyle = i === 0 ? '#ffd166' : '#a8b0c0';
+      ctx.fillText(`#${i + 1} ${formatShortNumber(c.dps.mean, 1)} ±${formatShortNumber(half, 1)} DPS`, p.x + (CASTER_RADIUS_UNITS + 3) * this.scale + 4, p.y - 6);
+    });
+    ctx.restore();
+  }
 
-          // write URL params on any config change
-          updateURL(this);
-        });
-      }
-    }
+  heatmapMetric() {
+    const key = el('heatmapMetric')?.value;
+    return HEATMAP_METRICS[key] ? key : 'dps';
+  }
 
-    // Handle salvoSupport checkbox separately (it's a change event, not input)
-    const salvoSupportElem = document.getElementById('salvoSupport');
-    if (salvoSupportElem) {
-      salvoSupportElem.addEventListener('change', () => {
-        this.running = false;
-        this.config = this.readConfigFromDOM();
-        updateURL(this);
-      });
+  heatmapCsv() {
+    const h = this.heatmap;
+    const lines = [`mover,x,y,dps,dps_ci95_low,dps_ci95_high,hit_rate,hits_per_cast,hits_per_cast_ci95_low,hits_per_cast_ci95_high`];
+    for (const c of h.cells) {
+      lines.push([h.mover, c.x, c.y, c.dps, c.dpsCi[0], c.dpsCi[1], c.hitRate, c.hitsPerCast, c.hitsPerCastCi[0], c.hitsPerCastCi[1]]
+        .map(v => (typeof v === 'number' ? +v.toFixed(4) : v)).join(','));
     }
+    return lines.join('\n') + '\n';
+  }
 
-    // Link barrageCount, timeBetweenBarrageRepeats, and barrageTimeInterval
-    // Total Time = Number of Barrages × Time between repeats
-    const barrageCountElem = document.getElementById('barrageCount');
-    const timeBetweenElem = document.getElementById('timeBetweenBarrageRepeats');
-    const totalTimeElem = document.getElementById('barrageTimeInterval');
-    
-    const updateLinkedValues = () => {
-      const barrageCount = Number(barrageCountElem?.value || 0);
-      const timeBetween = Number(timeBetweenElem?.value || 0);
-      const totalTime = barrageCount * timeBetween;
-      if (totalTimeElem) totalTimeElem.value = totalTime.toFixed(2);
-      this.config = this.readConfigFromDOM();
-      updateURL(this);
-    };
-    
-    if (barrageCountElem) {
-      barrageCountElem.addEventListener('input', updateLinkedValues);
-    }
-    if (timeBetweenElem) {
-      timeBetweenElem.addEventListener('input', updateLinkedValues);
+  // Cells in world units (call inside the world transform); returns the value range for the legend
+  drawHeatmapCells(ctx) {
+    const h = this.heatmap;
+    const key = this.heatmapMetric();
+    let min = Infinity, max = -Infinity;
+    for (const c of h.cells) { min = Math.min(min, c[key]); max = Math.max(max, c[key]); }
+    const span = max - min || 1;
+    for (const c of h.cells) {
+      ctx.fillStyle = heatmapColor((c[key] - min) / span, 0.6);
+      ctx.fillRect(c.x - h.cellSize / 2, c.y - h.cellSize / 2, h.cellSize, h.cellSize);
     }
+    return { key, min, max };
+  }
 
-    const timeScaleElem = document.getElementById('timeScale');
-    if (timeScaleElem) {
-      timeScaleElem.addEventListener('change', (e) => {
-        const sec = Number(e.target.value);
-        this.metrics.windowSec = clamp(sec, 1, 600);
-        updateURL(this);
-      });
+  // Colour bar with the metric name and range (screen space, top-left)
+  drawHeatmapLegend(ctx, { key, min, max }) {
+    const metric = HEATMAP_METRICS[key];
+    const x = 12, y = 12, w = 160, h = 10;
+    ctx.save();
+    ctx.fillStyle = 'rgba(20, 25, 38, 0.85)';
+    ctx.fillRect(x - 6, y - 6, w + 12, h + 40);
+    for (let i = 0; i < w; i++) {
+      ctx.fillStyle = heatmapColor(i / (w - 1));
+      ctx.fillRect(x + i, y + 14, 1, h);
     }
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '11px ui-sans-serif, system-ui, -apple-system';
+    ctx.fillText(`${metric.label} by ${this.heatmap.mover} position`, x, y + 8);
+    const lo = metric.format(min), hi = metric.format(max);
+    ctx.fillText(lo, x, y + h + 26);
+    ctx.fillText(hi, x + w - ctx.measureText(hi).width, y + h + 26);
+    ctx.restore();
+  }
 
-    const startBtn = document.getElementById('startBtn');
-    if (startBtn) {
-      startBtn.addEventListener('click', () => { 
-        this.running = true;
-        this.castAccumulator = 0; // Reset cast accumulator to prevent immediate cast
-        // Set to max seals and emit immediately (for Salvo mode)
-        // Or set cooldown after first cast (for non-Salvo mode)
-        if (this.config.salvoSupport !== false) {
-          this.currentSeals = this.config.maxSeals;
-        } else {
-          this.barrageCooldownTimer = 2.0; // Set cooldown after first cast
-        }
-        this.emitCast(performance.now());
-      });
-    }
-    
-    const stopBtn = document.getElementById('stopBtn');
-    if (stopBtn) {
-      stopBtn.addEventListener('click', () => { 
-        this.running = false;
-        this.castAccumulator = 0; // Reset cast accumulator when stopping
-      });
+  renderBatchResults(result) {
+    const table = el('batchResults');
+    if (table) {
+      const row = (label, s, digits) => {
+        const f = (v) => (digits === null ? formatShortNumber(v, 1) : v.toFixed(digits));
+        return `<tr><td>${label}</td><td>${f(s.mean)}</td><td>${f(s.median)}</td><td>${f(s.p10)}</td><td>${f(s.p90)}</td><td>${f(s.ci95[0])}–${f(s.ci95[1])}</td></tr>`;
+      };
+      table.innerHTML = '<tr><th>Metric</th><th>Mean</th><th>Median</th><th>P10</th><th>P90</th><th>95% CI</th></tr>' +
+        row('Hits / cast', result.hitsPerCast, 2) +
+        row('Hit rate (/s)', result.hitRate, 3) +
+        row('DPS', result.dps, null) +
+        (result.kills ? row(`TTK (s), ${result.kills}/${result.runs.length} killed`, result.ttk, 2) : '');
     }
-    
-    const resetBtn = document.getElementById('resetBtn');
-    if (resetBtn) {
-      resetBtn.addEventListener('click', () => { this.reset(); });
+    this.drawHistogram('batchHistogram', result.histogram);
+    this.drawHistogram('batchTtkHistogram', result.ttkHistogram);
+  }
+
+  drawHistogram(canvasId, hist) {
+    const c = document.getElementById(canvasId);
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    const labelH = 12;
+    ctx.clearRect(0, 0, w, h);
+    if (!hist.counts.length) return;
+    const maxCount = Math.max(...hist.counts) || 1;
+    const barW = w / hist.counts.length;
+    ctx.save();
+    ctx.fillStyle = '#7cc5ff';
+    for (let i = 0; i < hist.counts.length; i++) {
+      const bh = (hist.counts[i] / maxCount) * (h - labelH - 2);
+      ctx.fillRect(i * barW + 1, h - labelH - bh, Math.max(1, barW - 2), bh);
     }
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system';
+    ctx.fillText(String(+hist.min.toFixed(2)), 0, h - 1);
+    const maxLabel = String(+hist.max.toFixed(2));
+    ctx.fillText(maxLabel, w - ctx.measureText(maxLabel).width, h - 1);
+    ctx.restore();
   }
 
   installInput() {
     const rect = () => this.canvas.getBoundingClientRect();
-    const toCanvas = (e) => ({ x: e.clientX - rect().left, y: e.clientY - rect().top });
+    const toCanvas = (e) => this.toWorld(e.clientX - rect().left, e.clientY - rect().top);
 
     this.canvas.addEventListener('mousedown', (e) => {
+      if (this.replay) return; // a replay is read-only
       const p = toCanvas(e);
-      if (this.caster.contains(p.x, p.y)) { this.dragging = 'caster'; this.caster.drag = true; }
-      else if (this.boss.contains(p.x, p.y)) { this.dragging = 'boss'; this.boss.drag = true; }
+      if (this.drawingPath) {
+        const owner = this.drawingPath;
+        if (createArena(this.config.arenaType).contains(p.x, p.y, this[owner].r)) {
+          this.paths[owner].push(p);
+          this.onPathChanged(owner);
+        }
+        return;
+      }
+      // Caster first, then the boss, then adds (so the boss stays grabbable under an overlapping add)
+      const hit = [this.caster, this.boss, ...this.adds].find(ent => ent.contains(p.x, p.y));
+      if (hit) { this.dragging = hit === this.caster ? 'caster' : hit.id; hit.drag = true; }
     });
     window.addEventListener('mousemove', (e) => {
       if (!this.dragging) return;
       const p = toCanvas(e);
-      if (this.dragging === 'caster') { this.caster.x = p.x; this.caster.y = p.y; }
-      if (this.dragging === 'boss') { this.boss.x = p.x; this.boss.y = p.y; }
+      const ent = this.entityById(this.dragging);
+      if (!ent) return;
+      Object.assign(ent, p);
+      if (this.dragging === 'boss') this.bossHome = { ...p };
+      if (this.dragging === 'caster') this.casterHome = { ...p };
+      const positions = this.dragging === 'caster' || this.dragging === 'boss' ? { [this.dragging]: p } : { adds: this.addPositions() };
+      this.backend.post({ type: 'positions', positions });
       // update URL for positions
       updateURL(this);
     });
     window.addEventListener('mouseup', () => {
-      this.dragging = null; this.caster.drag = false; this.boss.drag = false;
+      const ent = this.dragging ? this.entityById(this.dragging) : null;
+      if (ent) ent.drag = false;
+      this.dragging = null;
     });
   }
 
-  reset() {
-    this.running = false;
-    this.castAccumulator = 0;
-    this.projectiles = [];
-    this.hitsTotal = 0;
-    this.totalDamage = 0;
-    this.hitTimestamps = [];
-    this.castTargetLocks.clear();
-    this.currentSeals = 0;
-    this.lastSealAccumTime = 0;
-    this.barrageCooldownTimer = 0;
-    this.barrageCastSchedule = [];
-    this.currentInstanceId = null;
-    this.currentCastHits = 0;
-    this.castHitHistory = [];
-    this.projPerCastHistory = [];
-    this.completedCastInstances.clear();
-    nextCastId += 1;
-  }
-
-  // Calculate barrage repeat timing based on barrage count
-  getBarrageTimingWindow(barrageCount) {
-    // Data points from testing:
-    // 2 barrage stacks: ~2.5 seconds
-    // 3 barrage stacks: ~2.5 seconds
-    // 16 barrage stacks: ~4.5 seconds
-    // This represents total cast window for all repeats
-    if (barrageCount <= 0) return 0;
-    if (barrageCount <= 3) return 2.5;
-    // Linear interpolation for barrage counts > 3
-    // At 16 stacks: 4.5 seconds
-    return 2.5 + (barrageCount - 3) * ((4.5 - 2.5) / (16 - 3));
-  }
-
-  // Calculate expected projectile count for a full cast instance using formula:
-  // Proj Count = (1 + W + 2S)(1 + B)
-  // W = whirlwind stages, S = seals, B = barrage count
-  calculateExpectedProjectileCount(config, sealCount) {
-    const w = config.whirlwindStages || 0;
-    const s = sealCount || 0;
-    const b = config.barrageCount || 0;
-    const projectileCountPerCast = (1 + w + 2 * s) * (1 + b);
-    return projectileCountPerCast;
-  }
-
-  // Helper: emit projectiles for a single cast instance
-  // barrageRepeatIndex: 0 for main cast, 1+ for barrage repeats
-  // This method is called once for the main cast and once for each barrage repeat
-  // Each call emits: baseCount + (sealCount * 2) projectiles
-  // sealCount: if provided, use this seal count; otherwise use current seals
-  // angles: if provided, use these angles; otherwise generate random. Returns array of angles used if barrageRepeatIndex === 0
-  emitCastProjectiles(castId, now, barrageRepeatIndex = 0, sealCount = null, angles = null, instanceId = null, projectileGroupIds = null) {
-    const cfg = this.config;
-    // With Salvo: fire base projectiles + stages + 2 per seal consumed
-    // Base: projectileCount + whirlwindStages
-    // Seals: 2 projectiles per seal (only when Salvo Support is ON)
-    // Whirlwind stages: 1 projectile per stage (always, regardless of Salvo)
-    // Total per emission: (1 + W) always, plus (2S) when Salvo ON
-    // This gets emitted (1 + B) times total (once for main, once for each barrage)
-    // Overall per cast instance: (1 + W + 2S) * (1 + B) when Salvo ON, or (1 + W) * (1 + B) when Salvo OFF
-    const projectilesPerSeal = 2;
-    
-    // Handle Salvo Support setting
-    const salvoEnabled = cfg.salvoSupport !== false; // default true if not specified
-    
-    // Base projectiles: always 1 + whirlwind stages
-    const baseCount = 1 + (cfg.whirlwindStages || 0);
-    // Seal projectiles: only added when Salvo Support is ON
-    const actualSealCount = salvoEnabled ? (sealCount !== null ? sealCount : this.currentSeals) : 0;
-    
-    // Calculate effective projectile speed with increased modifier
-    const increasePercent = (this.config.increasedProjSpeed || 0) / 100;
-    const effectiveSpeed = (this.config.baseProjSpeed || 75) * (1 + increasePercent);
-    
-    // Calculate damage multiplier: 80% more damage per whirlwind stage (stacks additively)
-    // 0 stages = 1.0x, 1 stage = 1.8x, 2 stages = 2.6x, 3 stages = 3.4x, etc.
-    const whirlwindDamageMultiplier = 1.0 + (cfg.whirlwindStages || 0) * 0.8;
-    
-    // Calculate angle toward boss if Salvo Support is disabled
-    let angleTowardBoss = null;
-    if (!salvoEnabled) {
-      const dx = this.boss.x - this.caster.x;
-      const dy = this.boss.y - this.caster.y;
-      angleTowardBoss = Math.atan2(dy, dx);
-    }
-    
-    // If this is the main cast (barrageRepeatIndex === 0) and no groupIds provided, generate and track them
-    const capturedAngles = (barrageRepeatIndex === 0 && !angles) ? [] : null;
-    const capturedGroupIds = (barrageRepeatIndex === 0 && !projectileGroupIds) ? [] : null;
-    let angleIdx = 0;
-    
-    // Fire base projectiles (group 0)
-    for (let i = 0; i < baseCount; i++) {
-      let angle;
-      if (angles) {
-        angle = angles[angleIdx];
-      } else if (salvoEnabled) {
-        angle = randRange(0, TWO_PI);
-      } else {
-        // When Salvo is OFF, spread projectiles in a 30-degree cone around boss direction
-        const coneHalfWidth = 15 * DEG_TO_RAD; // ±15 degrees
-        angle = angleTowardBoss + (Math.random() - 0.5) * 2 * coneHalfWidth;
-      }
-      let groupId = projectileGroupIds ? projectileGroupIds[angleIdx] : nextProjectileGroupId++;
-      angleIdx++;
-      if (capturedAngles) capturedAngles.push(angle);
-      if (capturedGroupIds) capturedGroupIds.push(groupId);
-      // Apply barrage repeat damage reduction if needed, combined with whirlwind boost
-      const barrageMultiplier = barrageRepeatIndex > 0 ? 0.55 : 1.0; // 45% less damage for repeats
-      const damageMultiplier = barrageMultiplier * whirlwindDamageMultiplier;
-      this.projectiles.push(new Projectile({
-        castId,
-        instanceId,
-        barrageRepeatIndex,
-        projectileGroupId: groupId,
-        x: this.caster.x,
-        y: this.caster.y,
-        angle,
-        speed: effectiveSpeed * this.scale, // convert to pixels per second
-        now,
-        duration: this.config.duration,
-        casterRef: this.caster,
-        pierceCount: this.config.pierceCount,
-        forkTimes: this.config.forkTimes,
-        chainCount: this.config.chainCount,
-        splitCount: this.config.splitCount,
-        twisterRadius: this.config.twisterRadius,
-        damageMultiplier,
-        simulationRef: this,
-      }));
-    }
-    
-    // Fire seal projectiles with shared hit group (same barrageRepeatIndex)
-    // Salvo seals add 2 projectiles per seal, up to 3 seals = 6 additional projectiles
-    // These all share the same hit group as the base projectiles for this barrage repeat
-    for (let sealIdx = 0; sealIdx < actualSealCount; sealIdx++) {
-      for (let i = 0; i < projectilesPerSeal; i++) {
-        // Generate random firing direction for seal projectiles
-        const angle = randRange(0, TWO_PI);
-        let groupId = projectileGroupIds ? projectileGroupIds[angleIdx] : nextProjectileGroupId++;
-        angleIdx++;
-        if (capturedAngles) capturedAngles.push(angle);
-        if (capturedGroupIds) capturedGroupIds.push(groupId);
-        // Apply barrage repeat damage reduction if needed, combined with whirlwind boost
-        const barrageMultiplier = barrageRepeatIndex > 0 ? 0.55 : 1.0; // 45% less damage for repeats
-        const damageMultiplier = barrageMultiplier * whirlwindDamageMultiplier;
-        this.projectiles.push(new Projectile({
-          castId,
-          instanceId,
-          barrageRepeatIndex,
-          projectileGroupId: groupId,
-          x: this.caster.x,
-          y: this.caster.y,
-          angle,
-          speed: effectiveSpeed * this.scale, // convert to pixels per second
-          now,
-          duration: this.config.duration,
-          casterRef: this.caster,
-          pierceCount: this.config.pierceCount,
-          forkTimes: this.config.forkTimes,
-          chainCount: this.config.chainCount,
-          splitCount: this.config.splitCount,
-          twisterRadius: this.config.twisterRadius,
-          damageMultiplier,
-          simulationRef: this,
-        }));
-      }
-    }
-    
-    // Return captured angles, group IDs, and projectile count for barrage repeats to use
-    const projCount = baseCount + (actualSealCount * projectilesPerSeal);
-    return { angles: capturedAngles, groupIds: capturedGroupIds, projCount };
-  }
-
-  emitCast(now) {
-    const cfg = this.config;
-    const castId = nextCastId++;
-    const instanceId = castId; // use castId as the instance identifier
-    
-    // Track the instance and reset hits for this cast
-    this.currentInstanceId = instanceId;
-    this.currentCastHits = 0;
-    // Register this instance in the tracking map
-    this.completedCastInstances.set(instanceId, { hits: 0, projCount: 0, completed: false });
-    
-    // Emit main cast and capture the angles and projectile count
-    const castResult = this.emitCastProjectiles(castId, now, 0, null, null, instanceId);
-    const castAngles = castResult.angles;
-    const castGroupIds = castResult.groupIds;
-    const projCountPerEmission = castResult.projCount;
-    
-    // Add main cast projectile count to instance total
-    this.completedCastInstances.get(instanceId).projCount += projCountPerEmission;
-    
-    // Schedule barrage repeats if enabled
-    if (cfg.barrageCount > 0) {
-      // Use timeBetweenBarrageRepeats to space repeats
-      const timeBetweenRepeats = cfg.timeBetweenBarrageRepeats || 0.15;
-      // Capture the seal count for all repeats to use
-      const castSealCount = this.currentSeals;
-      // Space each repeat based on timeBetweenBarrageRepeats
-      for (let repeatIdx = 1; repeatIdx <= cfg.barrageCount; repeatIdx++) {
-        // Space repeats linearly: first repeat at timeBetweenRepeats, second at 2x, etc.
-        const repeatTime = timeBetweenRepeats * repeatIdx;
-        const repeatTimeMs = repeatTime * 1000;
-        // Each barrage repeat gets a unique castId for independent hit groups
-        const barrageRepeatCastId = nextCastId++;
-        this.barrageCastSchedule.push({
-          time: now + repeatTimeMs,
-          castId: barrageRepeatCastId,
-          instanceId: instanceId,
-          barrageRepeatIndex: repeatIdx,
-          sealCount: castSealCount,
-          angles: castAngles,
-          groupIds: castGroupIds,
-        });
-      }
-    }
-    
-    // Consume all seals after casting
-    this.currentSeals = 0;
-  }
-
-  tryApplyHit(proj, now) {
-    // Per-group cooldown: each barrage repeat is independent
-    // Key: instanceId | barrageRepeatIndex | targetId
-    const targetId = 'boss';
-    const key = proj.instanceId + '|' + proj.barrageRepeatIndex + '|' + targetId;
-    const nextOk = this.castTargetLocks.get(key) || 0;
-    if (now >= nextOk) {
-      this.hitsTotal += 1;
-      const damage = this.config.avgHit * (proj.damageMultiplier || 1.0);
-      this.totalDamage += damage;
-      this.hitTimestamps.push(now);
-      
-      // Track hits for current full cast instance (including barrage repeats)
-      if (proj.instanceId === this.currentInstanceId) {
-        this.currentCastHits += 1;
-      }
-      
-      // Also update the tracking map for this instance
-      if (this.completedCastInstances.has(proj.instanceId)) {
-        const entry = this.completedCastInstances.get(proj.instanceId);
-        entry.hits = Math.max(entry.hits, this.currentCastHits); // track max hits
-      }
-      
-      this.castTargetLocks.set(key, now + PER_CAST_TARGET_COOLDOWN * 1000);
-      return true;
-    }
-    return false;
-  }
-
   getGroupColor(barrageRepeatIndex, onCooldown = false) {
     // Return distinct colors for main cast and barrage repeats
     // Bright colors when on cooldown (hit just occurred), dimmed/dark when idle
@@ -1376,254 +2130,93 @@ class Simulation {
     return colors[colors.length - 1];
   }
 
-  handleProjectileEnemyCollision(proj, now) {
-    // Check circle overlap
-    const dx = proj.x - this.boss.x; const dy = proj.y - this.boss.y;
-    const d = Math.hypot(dx, dy);
-    if (d <= proj.radius + this.boss.r) {
-      const hitRegistered = this.tryApplyHit(proj, now);
-      if (hitRegistered) {
-        console.log(`[HIT] Proj ${proj.id.slice(0,8)} BarrageIdx:${proj.barrageRepeatIndex} - Distance: ${d.toFixed(2)}, Threshold: ${(proj.radius + this.boss.r).toFixed(2)}`);
-        // Only one behavior can occur per collision; priority: Split -> Pierce -> Fork -> Chain
-
-        // 1) Split (even 360° emission).
-        if (!proj.hasSplit && proj.splitCount > 0) {
-          proj.hasSplit = true;
-          return this.applySplit(proj, performance.now());
-        }
-
-        // 2) Pierce
-        if (proj.pierceRemaining > 0) {
-          return this.applyPierce(proj, dx, dy, d);
-        }
-
-        // 3) Fork
-        if (proj.forkRemaining > 0) {
-          return this.applyFork(proj, performance.now());
-        }
-
-        // 4) Chain (no other enemy → behave like pierce)
-        if (proj.chainRemaining > 0) {
-          return this.applyChain(proj, dx, dy, d);
-        }
-
-        // No remaining behaviors -> absorbed on hit
-        return 'remove';
-      } else {
-        // No hit registered due to per-cast cooldown; pass through without behaviors
-        console.log(`[BLOCKED] Proj ${proj.id.slice(0,8)} BarrageIdx:${proj.barrageRepeatIndex} - On cooldown`);
-      }
-    }
-    return 'keep';
-  }
-
-  attemptBehavioursOnTerrainCollision(proj) {
-    // Behaviors (split/pierce/fork/chain) are enemy-only in this sim. Terrain only reflects.
-    return 'keep';
-  }
-
-  step(dt) {
-    const now = performance.now();
-
-    // Seal accumulation (Salvo mechanic) or Barrage cooldown (non-Salvo)
-    if (this.running) {
-      const salvoEnabled = this.config.salvoSupport !== false;
-      
-      if (salvoEnabled) {
-        // Salvo mode: accumulate seals and cast when threshold is reached
-        this.lastSealAccumTime += dt;
-        // Calculate effective seal gain frequency with increased modifier
-        const baseSealFreq = this.config.baseSealGainFrequency;
-        const increasePercent = (this.config.increasedSealGainFrequency || 0) / 100;
-        const effectiveSealFreq = baseSealFreq * (1 + increasePercent);
-        const sealAccumInterval = 1.0 / effectiveSealFreq; // time between seals
-        while (this.lastSealAccumTime >= sealAccumInterval && this.currentSeals < this.config.maxSeals) {
-          this.lastSealAccumTime -= sealAccumInterval;
-          this.currentSeals += 1;
-        }
-        
-        // Cast when we have enough seals (based on salvoSealCount config)
-        // If salvoSealCount is 0, treat it as 1 for timing purposes
-        this.castAccumulator += dt;
-        const sealThreshold = this.config.salvoSealCount === 0 ? 1 : this.config.salvoSealCount;
-        while (this.castAccumulator >= 0.01 && this.currentSeals >= sealThreshold) {
-          this.castAccumulator -= 0.01;
-          this.emitCast(now);
-        }
-      } else {
-        // Non-Salvo mode: use barrage cooldown timer
-        this.barrageCooldownTimer -= dt;
-        this.castAccumulator += dt;
-        
-        // Cast when cooldown expires
-        if (this.barrageCooldownTimer <= 0 && this.castAccumulator >= 0.01) {
-          this.castAccumulator -= 0.01;
-          this.emitCast(now);
-          this.barrageCooldownTimer = 2.0; // 2 second cooldown
-        }
-      }
-      
-      // Process scheduled barrage repeats
-      for (let i = this.barrageCastSchedule.length - 1; i >= 0; i--) {
-        const scheduled = this.barrageCastSchedule[i];
-        if (now >= scheduled.time) {
-          // Time to emit this barrage repeat with the same angles and group IDs as the original cast
-          const barrageResult = this.emitCastProjectiles(scheduled.castId, scheduled.time, scheduled.barrageRepeatIndex, scheduled.sealCount, scheduled.angles, scheduled.instanceId, scheduled.groupIds);
-          // Add barrage repeat projectile count to instance total
-          if (this.completedCastInstances.has(scheduled.instanceId)) {
-            this.completedCastInstances.get(scheduled.instanceId).projCount += barrageResult.projCount;
-          }
-          this.barrageCastSchedule.splice(i, 1);
-        }
-      }
-    }
-
-    // Update projectiles with sub-stepped CCD (prevents tunneling at high speeds)
-    const survivors = [];
-    for (const proj of this.projectiles) {
-      if (proj.isExpired(now)) continue;
-      proj.think(dt);
-
-      const speed = Math.hypot(proj.vx, proj.vy);
-      const totalDist = speed * dt;
-      const steps = Math.max(1, Math.ceil(totalDist / this.maxTerrainStepPx));
-      const subdt = dt / steps;
-
-      let removed = false;
-      for (let s = 0; s < steps && !removed; s++) {
-        // CCD vs boss within substep
-        const dx = proj.vx * subdt;
-        const dy = proj.vy * subdt;
-        const R = proj.radius + this.boss.r;
-        const tHit = sweptCircleHitT(proj.x, proj.y, dx, dy, this.boss.x, this.boss.y, R);
-        if (tHit !== null) {
-          proj.x += dx * tHit;
-          proj.y += dy * tHit;
-          const collisionTimeMs = now + (s * subdt + subdt * tHit) * 1000;
-          const enemyRes = this.handleProjectileEnemyCollision(proj, collisionTimeMs);
-          if (enemyRes === 'remove') { removed = true; break; }
-          const remainFrac = 1 - tHit;
-          if (remainFrac > 0) {
-            proj.move(subdt * remainFrac);
-          }
-        } else {
-          proj.move(subdt);
-        }
-
-        // Terrain collision (reflect). Use swept test against T-junction segments if applicable
-        if (this.arena instanceof TJunctionArena) {
-          // Exact TOI: moving circle vs each wall capsule (segment thickened by radius)
-          const dx = proj.vx * subdt; const dy = proj.vy * subdt;
-          const p0x = proj.x - dx, p0y = proj.y - dy;
-          let best = null;
-          for (const seg of this.arena.segments) {
-            const hit = sweptCircleSegmentTOI(p0x, p0y, dx, dy, seg.x1, seg.y1, seg.x2, seg.y2, proj.radius);
-            if (hit && hit.t >= 0 && hit.t <= 1) {
-              if (!best || hit.t < best.t) best = hit;
-            }
-          }
-          if (best) {
-            // advance to contact and reflect by provided normal
-            proj.x = p0x + dx * best.t + best.nx * (proj.radius * 1.001);
-            proj.y = p0y + dy * best.t + best.ny * (proj.radius * 1.001);
-            proj.reflect(best.nx, best.ny);
-          } else {
-            // no terrain hit in substep
-          }
-        } else {
-          const hit = this.arena.collideCircle(proj.x, proj.y, proj.radius);
-          if (hit.hit) {
-            proj.x = hit.x; proj.y = hit.y;
-            if (hit.reflect) {
-              proj.reflect(hit.nx, hit.ny);
-            }
-            const res = this.attemptBehavioursOnTerrainCollision(proj);
-            if (res === 'remove') { removed = true; break; }
-          }
-        }
-      }
-      if (removed) continue;
-
-      survivors.push(proj);
-    }
-    this.projectiles = survivors;
-
-    // Cleanup old hit timestamps beyond 5s window
-    const windowMs = 5000;
-    const cutoff = now - windowMs;
-    while (this.hitTimestamps.length && this.hitTimestamps[0] < cutoff) this.hitTimestamps.shift();
-
-    // Check if cast instances are complete (no projectiles from that instance remain)
-    for (const [instanceId, entry] of this.completedCastInstances) {
-      if (!entry.completed) {
-        const hasProjectilesFromInstance = this.projectiles.some(p => p.instanceId === instanceId);
-        if (!hasProjectilesFromInstance) {
-          // All projectiles from this instance are gone, mark as complete
-          entry.completed = true;
-          this.castHitHistory.push(entry.hits);
-          this.projPerCastHistory.push(entry.projCount);
-          // Keep only last 10 cast histories for averaging
-          if (this.castHitHistory.length > 10) {
-            this.castHitHistory.shift();
-          }
-          if (this.projPerCastHistory.length > 10) {
-            this.projPerCastHistory.shift();
-          }
-        }
-      }
-    }
-  }
-
   draw() {
     const ctx = this.ctx;
     ctx.clearRect(0, 0, this.width, this.height);
 
     // Arena
-    this.arena.draw(ctx);
-
-    // Leash radius removed
+    this.displayArena.draw(ctx);
 
-    // Entities
-    this.caster.draw(ctx);
-    this.boss.draw(ctx);
-
-    // Projectiles: bright group color when hit (on cooldown), dimmed when idle
-    for (const p of this.projectiles) {
-      const key = p.instanceId + '|' + p.barrageRepeatIndex + '|boss';
-      const nextOk = this.castTargetLocks.get(key) || 0;
-      const onCooldown = performance.now() < nextOk;
-      const color = this.getGroupColor(p.barrageRepeatIndex, onCooldown);
-      p.draw(ctx, color);
-    }
+    // Entities and projectiles are in world units: draw them through the world->screen transform
+    const { caster, boss, adds } = this.replay || this;
+    const view = this.activeView();
+    ctx.save();
+    ctx.translate(this.width / 2, this.height / 2);
+    ctx.scale(this.scale, this.scale);
+    const heatmapRange = this.heatmap && this.heatmap.cells.length && !this.replay ? this.drawHeatmapCells(ctx) : null;
+    const cfg = this.activeConfig();
+    const paths = Object.keys(WAYPOINT_PATHS).map(owner => [cfg[`${owner}Path`] || [], WAYPOINT_PATHS[owner].rgb]);
+    for (const [path, rgb] of paths) if (path.length) this.drawPath(ctx, path, rgb);
+    caster.draw(ctx);
+    boss.draw(ctx);
+    for (const a of adds) a.draw(ctx);
+    const showFinder = this.finder && this.finder.candidates.length && !this.replay;
+    if (showFinder) this.drawFinderMarkers(ctx);
+
+    if (view) this.drawProjectiles(ctx, view);
+    ctx.restore();
 
     // Legend
+    const casterPx = this.toScreen(caster.x, caster.y);
+    const bossPx = this.toScreen(boss.x, boss.y);
     ctx.save();
     ctx.fillStyle = '#a8b0c0';
     ctx.font = '12px ui-sans-serif, system-ui, -apple-system';
-    ctx.fillText('Player', this.caster.x + 12, this.caster.y + 4);
-    ctx.fillText('Boss', this.boss.x + 24, this.boss.y + 4);
+    ctx.fillText('Player', casterPx.x + 12, casterPx.y + 4);
+    ctx.fillText('Boss', bossPx.x + 24, bossPx.y + 4);
+    if (cfg.bossLife > 0 && view) this.drawBossLifeBar(ctx, bossPx, boss.r * this.scale, view, cfg);
+    for (const a of adds) {
+      const px = this.toScreen(a.x, a.y);
+      ctx.fillText(a.id, px.x + a.r * this.scale + 6, px.y + 4);
+    }
     ctx.restore();
 
+    for (const [path, rgb] of paths) if (path.length) this.drawPathLabels(ctx, path, rgb);
+    if (heatmapRange) this.drawHeatmapLegend(ctx, heatmapRange);
+    if (showFinder) this.drawFinderLabels(ctx);
+
     // Update distance display
     this.updateDistanceDisplay();
   }
 
+  // Projectiles (world units): bright group color when hit (on cooldown), dimmed when idle
+  drawProjectiles(ctx, view) {
+    const proj = view.projectiles;
+    for (let o = 0; o < proj.length; o += PROJECTILE_SNAPSHOT_STRIDE) {
+      ctx.fillStyle = this.getGroupColor(proj[o + 3], proj[o + 4] === 1);
+      ctx.beginPath();
+      ctx.arc(proj[o], proj[o + 1], proj[o + 2], 0, TWO_PI);
+      ctx.fill();
+    }
+  }
+
+  // Life bar above the boss (screen space), with a tick at each phase threshold; grey while untargetable
+  drawBossLifeBar(ctx, at, radiusPx, view, cfg) {
+    const w = 48, h = 5;
+    const x = at.x - w / 2, y = at.y - radiusPx - 12;
+    const frac = clamp((view.bossLife || 0) / cfg.bossLife, 0, 1);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x - 1, y - 1, w + 2, h + 2);
+    ctx.fillStyle = view.bossUntargetable ? '#6b7280' : '#ff6b6b';
+    ctx.fillRect(x, y, w * frac, h);
+    ctx.fillStyle = '#e6e6e6';
+    for (const p of cfg.bossPhases || []) ctx.fillRect(x + w * p / 100, y - 1, 1, h + 2);
+    ctx.restore();
+  }
+
   updateDistanceDisplay() {
     // Calculate distance between caster and boss in world units
-    const dx = this.boss.x - this.caster.x;
-    const dy = this.boss.y - this.caster.y;
-    const distancePixels = Math.hypot(dx, dy);
-    
-    // Convert from pixels to world units (scale is pixels per world unit)
-    const distanceUnits = distancePixels / this.scale;
-    
+    const { caster, boss } = this.replay || this;
+    const distanceUnits = distance(boss, caster);
+
     // Convert units to meters (10 units = 1 meter)
     const distanceMeters = distanceUnits / 10;
-    
+
     // Update the display
     const distanceValueElem = document.getElementById('distanceValue');
     const distanceMetersElem = document.getElementById('distanceMeters');
-    
+
     if (distanceValueElem) {
       distanceValueElem.textContent = distanceUnits.toFixed(1) + ' U';
     }
@@ -1633,39 +2226,54 @@ class Simulation {
   }
 
   updateStats() {
+    const view = this.activeView();
+    if (!view) return;
+    const cfg = this.activeConfig();
     // Update seal/cooldown display based on Salvo Support setting
     const sealDisplay = document.getElementById('currentSealsDisplay');
     if (sealDisplay) {
-      const salvoEnabled = this.config.salvoSupport !== false;
+      const salvoEnabled = cfg.salvoSupport !== false;
+      // A manual cast cadence counts down to the next cast start instead of a cooldown
+      const nextCast = view.nextCastIn !== null && view.nextCastIn !== undefined ? `Next Cast ${view.nextCastIn.toFixed(2)}s` : null;
       if (salvoEnabled) {
-        sealDisplay.textContent = `Current Seals ${this.currentSeals} / ${this.config.maxSeals}`;
+        sealDisplay.textContent = `Current Seals ${view.currentSeals} / ${cfg.maxSeals}${nextCast ? ` · ${nextCast}` : ''}`;
+      } else if (nextCast) {
+        sealDisplay.textContent = nextCast;
       } else {
-        const cooldownRemaining = Math.max(0, this.barrageCooldownTimer);
+        const cooldownRemaining = Math.max(0, view.barrageCooldownTimer);
         sealDisplay.textContent = `Barrage Cooldown: ${cooldownRemaining.toFixed(2)}s`;
       }
     }
     
-    const hitsPerSec = this.hitTimestamps.length / 5;
-    document.getElementById('hitsTotal').textContent = formatShortNumber(this.hitsTotal, 1);
+    const simTimeDisplay = el('simTimeDisplay');
+    if (simTimeDisplay) simTimeDisplay.textContent = `${view.time.toFixed(2)} s${this.replay ? ' (replay)' : this.paused ? ' (paused)' : ''}`;
+
+    const hitsPerSec = view.hitsPerSec;
+    document.getElementById('hitsTotal').textContent = formatShortNumber(view.hitsTotal, 1);
     document.getElementById('hitsPerSec').textContent = hitsPerSec.toFixed(2);
-    const dps = hitsPerSec * this.config.avgHit;
+    const dps = view.dps;
     document.getElementById('dps').textContent = formatShortNumber(dps, 1);
-    document.getElementById('totalDmg').textContent = formatShortNumber(this.totalDamage, 1);
-    document.getElementById('projAlive').textContent = formatShortNumber(this.projectiles.length, 0);
+    document.getElementById('totalDmg').textContent = formatShortNumber(view.totalDamage, 1);
+    this.renderDamageStats(view);
+    this.renderBossLife(view, cfg);
+    document.getElementById('projAlive').textContent = formatShortNumber(view.projectiles.length / PROJECTILE_SNAPSHOT_STRIDE, 0);
+    this.renderTargetStats(view);
     
-    // Calculate and display hit groups per full cast
-    // Hit Groups = (barrageCount + 1) × (salvoSealCount + 1)
-    // Hit groups per cast: only barrage repeats create separate hit groups, not seals
-    const hitGroupsPerCast = this.config.barrageCount + 1;
-    document.getElementById('hitGroupsPerCast').textContent = hitGroupsPerCast;
-
     // Calculate expected projectile count for verification
-    const salvoEnabled = this.config.salvoSupport !== false;
-    const expectedSealCount = salvoEnabled ? this.config.salvoSealCount : 0;
-    const expectedProjCount = (1 + (this.config.whirlwindStages || 0) + 2 * expectedSealCount) * (this.config.barrageCount + 1);
+    const salvoEnabled = cfg.salvoSupport !== false;
+    const expectedSealCount = salvoEnabled ? cfg.salvoSealCount : 0;
+    const expectedProjCount = (1 + (cfg.whirlwindStages || 0) + 2 * expectedSealCount) * (cfg.barrageCount + 1);
+
+    // Hit groups per full cast under the selected policy: counted by the core for each completed cast,
+    // predicted from the settings until one has completed (or for replays recorded before the count existed)
+    const groupsHistory = (view.groupsPerCastHistory || []).slice(-5);
+    const hitGroupsPerCast = groupsHistory.length && groupsHistory[groupsHistory.length - 1] !== undefined
+      ? groupsHistory[groupsHistory.length - 1]
+      : expectedHitGroupsPerCast(cfg, expectedSealCount);
+    document.getElementById('hitGroupsPerCast').textContent = hitGroupsPerCast;
     
     // Display last 5 completed casts (or fewer if less than 5 exist)
-    const last5Casts = this.castHitHistory.slice(-5);
+    const last5Casts = view.castHitHistory.slice(-5);
     const hitsPerCastDiv = document.getElementById('hitsPerCast');
     if (last5Casts.length > 0) {
       hitsPerCastDiv.textContent = last5Casts.map(h => h).join(', ');
@@ -1673,24 +2281,28 @@ class Simulation {
       hitsPerCastDiv.textContent = '-';
     }
     
-    // Display hits per hit group (last 5 casts): hits per cast / hit groups per cast as percentage
+    // Display hits per hit group (last 5 casts): hits per cast / that cast's hit groups as percentage
     const percentHitGroupsDiv = document.getElementById('percentHitGroups');
     if (last5Casts.length > 0 && hitGroupsPerCast > 0) {
-      const percentValues = last5Casts.map(h => ((h / hitGroupsPerCast) * 100).toFixed(1));
+      const percentValues = last5Casts.map((h, i) => ((h / (groupsHistory[i] || hitGroupsPerCast)) * 100).toFixed(1));
       percentHitGroupsDiv.textContent = percentValues.join(', ') + '%';
     } else {
       percentHitGroupsDiv.textContent = '-';
     }
     
     // Display last 5 projectiles per cast and verify against expected
-    const last5ProjPerCast = this.projPerCastHistory.slice(-5);
+    const last5ProjPerCast = view.projPerCastHistory.slice(-5);
     const projPerCastDiv = document.getElementById('projPerCast');
     if (last5ProjPerCast.length > 0) {
       const projPerCastText = last5ProjPerCast.map(p => p).join(', ');
       projPerCastDiv.textContent = projPerCastText;
       // Verify the most recent completed cast matches expected
       const mostRecentProj = last5ProjPerCast[last5ProjPerCast.length - 1];
-      if (mostRecentProj !== expectedProjCount) {
+      if (cfg.castMode === 'interval' || cfg.castMode === 'castSpeed') {
+        // A manual cadence fires with whatever seals are banked, so there's no single expected count
+        projPerCastDiv.title = 'Seals (and so projectiles) vary per cast with a manual cast cadence';
+        projPerCastDiv.style.color = '#7cc5ff';
+      } else if (mostRecentProj !== expectedProjCount) {
         projPerCastDiv.title = `Expected: ${expectedProjCount}, Got: ${mostRecentProj} - MISMATCH`;
         projPerCastDiv.style.color = '#ff6b6b'; // red for mismatch
       } else {
@@ -1703,8 +2315,8 @@ class Simulation {
     }
     
     // Display percentage of total projectiles hit per cast (last 5)
-    const last5HitsPerCast = this.castHitHistory.slice(-5);
-    const last5ProjPerCastForPercent = this.projPerCastHistory.slice(-5);
+    const last5HitsPerCast = view.castHitHistory.slice(-5);
+    const last5ProjPerCastForPercent = view.projPerCastHistory.slice(-5);
     const percentHitPerCastDiv = document.getElementById('percentHitPerCast');
     if (last5HitsPerCast.length > 0 && last5ProjPerCastForPercent.length > 0 && last5HitsPerCast.length === last5ProjPerCastForPercent.length) {
       const percentages = [];
@@ -1723,33 +2335,63 @@ class Simulation {
     
     // Display average hits over last 10 casts
     let avgHits = 0;
-    if (this.castHitHistory.length > 0) {
-      const totalHits = this.castHitHistory.reduce((a, b) => a + b, 0);
-      avgHits = totalHits / this.castHitHistory.length;
+    if (view.castHitHistory.length > 0) {
+      const totalHits = view.castHitHistory.reduce((a, b) => a + b, 0);
+      avgHits = totalHits / view.castHitHistory.length;
     }
     document.getElementById('avgHitsPerCast').textContent = avgHits.toFixed(1);
     
-    this.updateCharts(hitsPerSec, dps);
-  }
-
-  updateCharts(hitsPerSec, dps) {
-    const now = performance.now();
-    if (now - this.metrics.lastSampleAt >= this.metrics.sampleIntervalMs) {
-      this.metrics.lastSampleAt = now;
-      this.metrics.samples.push({
-        t: now,
-        hitsTotal: this.hitsTotal,
-        hitsPerSec,
-        dps,
-        totalDamage: this.totalDamage,
-        projAlive: this.projectiles.length,
-      });
-      // drop old samples beyond window
-      const cutoff = now - this.metrics.windowSec * 1000;
-      while (this.metrics.samples.length && this.metrics.samples[0].t < cutoff) this.metrics.samples.shift();
+    this.updateCharts();
+  }
+
+  // Nominal DPS and the damage-per-hit distribution (ranges, crits and mitigation applied)
+  renderDamageStats(view) {
+    const nominal = el('nominalDps');
+    if (nominal) nominal.textContent = formatShortNumber(view.nominalDps || 0, 1);
+    const stats = view.damageStats;
+    const summary = el('damageSummary');
+    if (!stats) return;
+    if (summary) {
+      summary.textContent = stats.hits
+        ? `Mean ${formatShortNumber(stats.sum / stats.hits, 1)} · Min ${formatShortNumber(stats.min, 1)} · Max ${formatShortNumber(stats.max, 1)} · Crits ${((stats.crits / stats.hits) * 100).toFixed(1)}%`
+        : '-';
+    }
+    this.drawHistogram('damageHistogram', { min: 0, max: stats.binWidth * stats.counts.length, counts: stats.counts });
+  }
+
+  // Boss life and, once it has died, the time to kill
+  renderBossLife(view, cfg) {
+    const life = el('bossLifeDisplay');
+    if (life) {
+      if (!(cfg.bossLife > 0)) life.textContent = 'Unkillable';
+      else {
+        const state = view.killTime !== null && view.killTime !== undefined ? ' (dead)' : view.bossUntargetable ? ' (untargetable)' : '';
+        life.textContent = `${formatShortNumber(view.bossLife || 0, 1)} / ${formatShortNumber(cfg.bossLife, 1)}${state}`;
+      }
     }
+    const ttk = el('ttkDisplay');
+    if (ttk) ttk.textContent = view.killTime !== null && view.killTime !== undefined ? `${view.killTime.toFixed(2)} s` : '-';
+  }
+
+  // Per-enemy hits and DPS, with the aggregate as the last row
+  renderTargetStats(view) {
+    const table = el('targetStats');
+    if (!table) return;
+    const row = (name, t) => `<tr><td>${name}</td><td>${formatShortNumber(t.hits, 1)}</td><td>${t.hitsPerSec.toFixed(2)}</td>` +
+      `<td>${formatShortNumber(t.dps, 1)}</td><td>${formatShortNumber(t.damage, 1)}</td></tr>`;
+    let html = '<tr><th>Target</th><th>Hits</th><th>Hits/s</th><th>DPS</th><th>Damage</th></tr>';
+    for (const t of view.targets) html += row(t.id, t);
+    html += row('All', { hits: view.hitsTotal, hitsPerSec: view.hitsPerSec, dps: view.dps, damage: view.totalDamage });
+    table.innerHTML = html;
+  }
 
-    const s = this.metrics.samples;
+  updateCharts() {
+    // Samples are taken by the core on the simulated clock and arrive as snapshot deltas
+    let s = this.samples;
+    if (this.replay) {
+      const t = this.replay.t;
+      s = this.replay.samples.filter(p => p.t <= t && p.t >= t - this.windowSec);
+    }
     this.drawSpark('sparkHits', s.map(p => p.hitsTotal));
     this.drawSpark('sparkRate', s.map(p => p.hitsPerSec));
     this.drawSpark('sparkDps', s.map(p => p.dps));
@@ -1793,13 +2435,33 @@ class Simulation {
     this.lastTime = now;
     // Clamp dt to avoid spiral after tab switch
     dt = Math.min(dt, 0.05);
-    this.accum += dt;
-    while (this.accum >= this.fixedDt) {
-      this.step(this.fixedDt);
-      this.accum -= this.fixedDt;
+    if (this.replay) {
+      // Replays play back from the recorded events; the live simulation stays frozen meanwhile
+      const r = this.replay;
+      if (r.playing) {
+        this.seekReplay(r.t + dt * (this.speed === 'max' ? REPLAY_MAX_SPEED : this.speed));
+        if (r.t >= r.player.endTime) this.setReplayPlaying(false);
+      }
+    } else if (this.split) {
+      // The split view runs its own pair of simulations; the live run waits underneath
+      if (!this.paused) this.advanceSplit(dt);
+    } else if (!this.paused) {
+      // Sim time owed while the previous advance is still in flight; capped like dt so a slow backend can't spiral
+      if (this.speed !== 'max') this.unsentDt = Math.min(this.unsentDt + dt, 0.05);
+      if (!this.advancePending) {
+        this.advancePending = true;
+        if (this.speed === 'max') {
+          // As many physics steps as fit in the backend's time budget
+          this.backend.post({ type: 'advance', budgetMs: MAX_SPEED_BUDGET_MS });
+        } else {
+          this.backend.post({ type: 'advance', dt: this.unsentDt * this.speed });
+        }
+        this.unsentDt = 0;
+      }
     }
     this.draw();
     this.updateStats();
+    if (this.split) this.drawSplit();
     requestAnimationFrame((t2) => this.loop(t2));
   }
 }
@@ -1813,53 +2475,12 @@ window.addEventListener('DOMContentLoaded', () => {
     const rect = parent.getBoundingClientRect();
     canvas.width = Math.floor(rect.width);
     canvas.height = Math.floor(rect.height);
-    // Recreate sim to rescale arenas while preserving entities
-    if (window.__sim) {
-      const prev = window.__sim;
-      const sim = new Simulation(canvas);
-      const ratio = sim.scale / prev.scale;
-      // propagate scale globally for projectile radius construction
-      window.__currentScale = sim.scale;
-      // Rescale entities using world-space relative to center to handle aspect changes
-      const prevCenterX = prev.width / 2, prevCenterY = prev.height / 2;
-      const newCenterX = sim.width / 2, newCenterY = sim.height / 2;
-      const toWorldUnits = (px, py) => ({ ux: (px - prevCenterX) / prev.scale, uy: (py - prevCenterY) / prev.scale });
-      const toScreen = (ux, uy) => ({ x: newCenterX + ux * sim.scale, y: newCenterY + uy * sim.scale });
-
-      const cWU = toWorldUnits(prev.caster.x, prev.caster.y);
-      const cPX = toScreen(cWU.ux, cWU.uy);
-      sim.caster.x = cPX.x; sim.caster.y = cPX.y;
-      const bWU = toWorldUnits(prev.boss.x, prev.boss.y);
-      const bPX = toScreen(bWU.ux, bWU.uy);
-      sim.boss.x = bPX.x; sim.boss.y = bPX.y;
-      if (prev.running) {
-        // If actively resizing while running, reset to avoid unstable state
-        sim.projectiles = [];
-        sim.hitsTotal = 0;
-        sim.totalDamage = 0;
-        sim.hitTimestamps = [];
-        sim.castTargetLocks.clear();
-        sim.running = true;
-      } else {
-        // Carry-over projectiles with rescale when paused
-        sim.projectiles = prev.projectiles.map(p => {
-          const w = toWorldUnits(p.x, p.y);
-          const mapped = toScreen(w.ux, w.uy);
-          p.x = mapped.x; p.y = mapped.y;
-          p.vx *= ratio; p.vy *= ratio;
-          p.speed *= ratio;
-          p.radius = (p.twisterRadiusUnits || PROJ_RADIUS_UNITS) * sim.scale;
-          return p;
-        });
-        sim.running = prev.running;
-      }
-      window.__sim = sim;
-    }
+    // Rescale the view; the simulation itself is in world units and carries over untouched
+    if (window.__sim) window.__sim.resize(canvas.width, canvas.height);
   };
   window.addEventListener('resize', resize);
-  window.__sim = new Simulation(canvas);
-  window.__currentScale = window.__sim.scale;
   resize();
+  window.__sim = new Simulation(canvas);
 
   // Initialize collapsible sections
   initializeCollapsibles();
@@ -0,0 +1,153 @@
+/* Path of Building 2 import: decodes a PoB2 export code (URL-safe base64 of zlib-deflated build XML) in the
+ * browser and maps the Twister skill group onto the Character Stats inputs. Nothing leaves the page. Loaded
+ * before main.js by the page, or via require() in Node (decoding needs DecompressionStream; parsing needs
+ * a DOMParser, so Node callers pass a build object to mapPobBuild). */
+
+// PlayerStat values PoB2 writes for the main skill -> config field. `stats` are tried in order; `convert` turns
+// the PoB value into the input's unit (PoB stores the projectile speed mod as a ratio)
+const POB_STAT_MAP = [
+  { field: 'avgHit', label: 'Average Hit', stats: ['AverageHit'], convert: (v) => Math.round(v) },
+  { field: 'increasedProjSpeed', label: 'Increased Projectile Speed (%)', stats: ['ProjectileSpeedMod'], convert: (v) => Math.max(0, Math.round((v - 1) * 1000) / 10) },
+  { field: 'duration', label: 'Duration (s)', stats: ['Duration'], convert: (v) => Math.round(v * 100) / 100 },
+];
+
+// Export code (or pasted XML) -> build XML text
+async function decodePobCode(code) {
+  const text = String(code).trim();
+  if (text.startsWith('<')) return text;
+  let bytes;
+  try {
+    const b64 = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+  } catch (err) {
+    throw new Error('Not a PoB2 export code (not base64)');
+  }
+  const stream = new DecompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  // Errors surface on the reading side; these only keep a corrupt code from logging an unhandled rejection
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  const chunks = [];
+  let length = 0;
+  try {
+    const reader = stream.readable.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch (err) {
+    throw new Error('Not a PoB2 export code (could not inflate)');
+  }
+  const all = new Uint8Array(length);
+  let offset = 0;
+  for (const c of chunks) { all.set(c, offset); offset += c.length; }
+  return new TextDecoder().decode(all);
+}
+
+// Build XML -> { className, ascendClassName, level, stats, groups, mainGroup } (mainGroup indexes groups, or -1)
+function parsePobXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || doc.getElementsByTagName('parsererror').length || !/^PathOfBuilding/.test(root.nodeName)) {
+    throw new Error('Not a Path of Building export');
+  }
+  const build = root.getElementsByTagName('Build')[0];
+  const stats = {};
+  for (const s of build ? build.getElementsByTagName('PlayerStat') : []) {
+    const v = Number(s.getAttribute('value'));
+    if (s.getAttribute('stat') && Number.isFinite(v)) stats[s.getAttribute('stat')] = v;
+  }
+  // Socket groups live in the active skill set; exports from before skill sets list them under <Skills>
+  const skills = root.getElementsByTagName('Skills')[0];
+  const sets = skills ? [...skills.getElementsByTagName('SkillSet')] : [];
+  const parent = sets.length ? (sets.find(s => s.getAttribute('id') === skills.getAttribute('activeSkillSet')) || sets[0]) : skills;
+  const groups = (parent ? [...parent.children] : []).filter(n => n.nodeName === 'Skill').map(g => ({
+    label: g.getAttribute('label') || '',
+    enabled: g.getAttribute('enabled') !== 'false',
+    gems: [...g.getElementsByTagName('Gem')].map(gem => {
+      const skillId = gem.getAttribute('skillId') || '';
+      return {
+        name: gem.getAttribute('nameSpec') || skillId,
+        skillId,
+        level: Number(gem.getAttribute('level')) || 0,
+        quality: Number(gem.getAttribute('quality')) || 0,
+        enabled: gem.getAttribute('enabled') !== 'false',
+        support: /^Support/i.test(skillId) || /Support/i.test(gem.getAttribute('gemId') || ''),
+      };
+    }),
+  }));
+  const main = build ? Number(build.getAttribute('mainSocketGroup')) : NaN;
+  return {
+    className: build ? build.getAttribute('className') || '' : '',
+    ascendClassName: build ? build.getAttribute('ascendClassName') || '' : '',
+    level: build ? Number(build.getAttribute('level')) || 0 : 0,
+    stats,
+    groups,
+    mainGroup: Number.isInteger(main) && main >= 1 && main <= groups.length ? main - 1 : -1,
+  };
+}
+
+/**
+ * Parsed build -> { values, mapped, unmapped }: `values` maps config fields to what should go in their inputs,
+ * `mapped` ({ label, value, source }) and `unmapped` ({ label, reason }) are the summary shown to the user.
+ * PlayerStats describe PoB2's main skill only, so they are used only when that is the Twister group.
+ */
+function mapPobBuild(build) {
+  const values = {}, mapped = [], unmapped = [];
+  const gemIn = (group, re, support) => group.gems.find(g => g.enabled && g.support === support && re.test(g.name));
+  const findGroup = (re) => build.groups.findIndex(g => g.enabled && gemIn(g, re, false));
+  const twister = findGroup(/twister/i);
+  if (twister < 0) {
+    for (const m of POB_STAT_MAP) unmapped.push({ label: m.label, reason: 'No enabled Twister skill group in this build' });
+  } else {
+    const group = build.groups[twister];
+    const gem = gemIn(group, /twister/i, false);
+    mapped.push({ label: 'Twister gem', value: `Level ${gem.level}${gem.quality ? `, ${gem.quality}% quality` : ''}`, source: `Socket group ${twister + 1}` });
+    const mainIsTwister = build.mainGroup === twister;
+    const mainName = build.mainGroup >= 0 ? (build.groups[build.mainGroup].gems.find(g => !g.support) || {}).name : '';
+    for (const m of POB_STAT_MAP) {
+      const stat = m.stats.find(s => build.stats[s] !== undefined);
+      if (!mainIsTwister) {
+        unmapped.push({ label: m.label, reason: `Stats are for the main skill${mainName ? ` (${mainName})` : ''}; make Twister the main skill in PoB2 and export again` });
+      } else if (!stat) {
+        unmapped.push({ label: m.label, reason: `Not in this export (${m.stats.join(' / ')})` });
+      } else {
+        values[m.field] = m.convert(build.stats[stat]);
+        mapped.push({ label: m.label, value: values[m.field], source: `${stat} = ${build.stats[stat]}` });
+      }
+    }
+    const salvo = gemIn(group, /salvo/i, true);
+    values.salvoSupport = !!salvo;
+    mapped.push({ label: 'Enable Salvo Support', value: salvo ? 'On' : 'Off', source: salvo ? `${salvo.name} linked to Twister` : 'No Salvo in the Twister group' });
+  }
+  unmapped.push({ label: 'Increased Seal Gain Frequency (%)', reason: 'No PoB2 player stat is mapped to seal gain; set it by hand' });
+  // Barrage and Whirling Slash are separate skills: report what the build has, leaving the inputs as they are
+  const barrage = findGroup(/barrage/i);
+  if (barrage >= 0) {
+    const gem = gemIn(build.groups[barrage], /barrage/i, false);
+    unmapped.push({ label: 'Barrage Count', reason: `Barrage level ${gem.level} found; PoB2 doesn't export its repeat count, so set it by hand` });
+  } else {
+    unmapped.push({ label: 'Barrage Count', reason: 'Not in build' });
+  }
+  const slash = findGroup(/whirling slash/i);
+  if (slash >= 0) {
+    const gem = gemIn(build.groups[slash], /whirling slash/i, false);
+    unmapped.push({ label: 'Whirlwind Stages', reason: `Whirling Slash level ${gem.level} found; the stages Twister consumes depend on play, so they are left as they are` });
+  } else {
+    unmapped.push({ label: 'Whirlwind Stages', reason: 'Not in build' });
+  }
+  return { values, mapped, unmapped };
+}
+
+// Export code -> { build, values, mapped, unmapped }
+async function importPobCode(code) {
+  const build = parsePobXml(await decodePobCode(code));
+  return { build, ...mapPobBuild(build) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { POB_STAT_MAP, decodePobCode, parsePobXml, mapPobBuild, importPobCode };
+}
@@ -0,0 +1,343 @@
+/* Monte Carlo batch runner on top of SimulationCore (headless). Runs many seeded fights without rendering
+ * and summarises hits per cast, hit rate and DPS. Loaded after sim-core.js by the page or a worker, or via require() in Node. */
+
+const batchDeps = typeof SimulationCore === 'function' ? { SimulationCore, SeededRandom, createArena } : require('./sim-core.js');
+
+// Sim seconds advanced between checks for cancellation / time budget
+const BATCH_SLICE_SEC = 5;
+// Wall-clock budget per slice of work before yielding to the event loop (ms)
+const BATCH_YIELD_MS = 30;
+// Give up on a run that stops casting (e.g. zero seal gain) after this much sim time with no completed cast
+const BATCH_STALL_SEC = 120;
+
+// Linear-interpolated percentile of an ascending array, p in [0, 1]
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Mean, median, p10/p90 and a normal-approximation 95% confidence interval for the mean
+function summarizeSamples(values) {
+  const n = values.length;
+  if (!n) return { n: 0, mean: 0, median: 0, p10: 0, p90: 0, stdDev: 0, ci95: [0, 0] };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1) : 0;
+  const stdDev = Math.sqrt(variance);
+  const half = 1.96 * stdDev / Math.sqrt(n);
+  return {
+    n,
+    mean,
+    median: percentile(sorted, 0.5),
+    p10: percentile(sorted, 0.1),
+    p90: percentile(sorted, 0.9),
+    stdDev,
+    ci95: [mean - half, mean + half],
+  };
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 erf approximation, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Standard error of a summarizeSamples() mean
+function standardError(summary) { return summary.n ? summary.stdDev / Math.sqrt(summary.n) : 0; }
+
+// Equal-width bins; integer data (hit counts) gets one bin per value when the range is small
+function histogram(values, maxBins = 30) {
+  if (!values.length) return { min: 0, max: 0, binWidth: 1, counts: [] };
+  let min = Infinity, max = -Infinity, integers = true;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+    if (integers && !Number.isInteger(v)) integers = false;
+  }
+  let binWidth;
+  if (integers && max - min + 1 <= maxBins) binWidth = 1;
+  else binWidth = ((max - min) || 1) / maxBins;
+  const binCount = integers && binWidth === 1 ? (max - min + 1) : maxBins;
+  const counts = new Array(binCount).fill(0);
+  for (const v of values) {
+    const i = Math.min(binCount - 1, Math.floor((v - min) / binWidth));
+    counts[i] += 1;
+  }
+  return { min, max, binWidth, counts };
+}
+
+/**
+ * One seeded fight: start casting and run until `casts` full casts (incl. barrage repeats) have completed,
+ * or until the boss dies when it has a life pool. Returns the per-cast hit counts, run-level hit rate / DPS
+ * on the simulated clock and the time to kill (null if the boss survived).
+ */
+function createBatchRun(config, positions, seed, casts) {
+  const core = new batchDeps.SimulationCore({ ...config, seed }, { castHistoryLimit: Infinity });
+  core.setPositions(positions);
+  core.start();
+  let lastProgressAt = 0;
+  let lastCompleted = 0;
+  return {
+    core,
+    // Advance one slice; returns true when the run is finished
+    advance() {
+      core.advance(BATCH_SLICE_SEC);
+      if (core.completedCastCount !== lastCompleted) {
+        lastCompleted = core.completedCastCount;
+        lastProgressAt = core.time;
+      }
+      return core.killTime !== null || core.completedCastCount >= casts || core.time - lastProgressAt > BATCH_STALL_SEC;
+    },
+    result() {
+      const simTime = core.time || 1;
+      return {
+        seed,
+        casts: core.completedCastCount,
+        hitsPerCast: core.castHitHistory.slice(0, casts),
+        hitRate: core.hitsTotal / simTime,
+        dps: core.totalDamage / simTime,
+        ttk: core.killTime,
+        simTime,
+      };
+    },
+  };
+}
+
+function summarizeBatch(runs) {
+  const hitsPerCast = [];
+  for (const r of runs) for (const h of r.hitsPerCast) hitsPerCast.push(h);
+  // Time to kill over the runs that killed the boss; the rest ran out of casts first
+  const ttk = runs.filter(r => r.ttk !== null && r.ttk !== undefined).map(r => r.ttk);
+  return {
+    runs,
+    hitsPerCast: summarizeSamples(hitsPerCast),
+    hitRate: summarizeSamples(runs.map(r => r.hitRate)),
+    dps: summarizeSamples(runs.map(r => r.dps)),
+    histogram: histogram(hitsPerCast),
+    kills: ttk.length,
+    ttk: summarizeSamples(ttk),
+    ttkHistogram: histogram(ttk),
+  };
+}
+
+/**
+ * Run `seeds` fights of `casts` casts each on `config` (seeds baseSeed, baseSeed+1, ...).
+ * Yields to the event loop between slices so a page stays responsive; pass a `token` with
+ * `cancelled = true` to stop early (the partial result is still summarised).
+ */
+async function runBatch(config, positions, opts = {}) {
+  const casts = Math.max(1, Math.floor(opts.casts || 1000));
+  const seeds = Math.max(1, Math.floor(opts.seeds || 50));
+  const baseSeed = opts.baseSeed !== undefined ? opts.baseSeed : (config.seed || 1);
+  const token = opts.token || { cancelled: false };
+  const runs = [];
+  let sliceStart = Date.now();
+  for (let i = 0; i < seeds && !token.cancelled; i++) {
+    const run = createBatchRun(config, positions, (baseSeed + i) >>> 0, casts);
+    let done = false;
+    while (!done && !token.cancelled) {
+      done = run.advance();
+      if (Date.now() - sliceStart > BATCH_YIELD_MS) {
+        if (opts.onProgress) opts.onProgress((i + Math.min(1, run.core.completedCastCount / casts)) / seeds);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        sliceStart = Date.now();
+      }
+    }
+    if (done) runs.push(run.result());
+  }
+  if (opts.onProgress) opts.onProgress(runs.length / seeds);
+  return { ...summarizeBatch(runs), cancelled: !!token.cancelled, casts, seeds };
+}
+
+// Difference of two summarizeSamples() means (b - a) with a two-sided Welch z test; p is null without spread
+function compareSummaries(a, b) {
+  const delta = b.mean - a.mean;
+  const se = Math.hypot(standardError(a), standardError(b));
+  const p = se > 0 ? 2 * (1 - normalCdf(Math.abs(delta) / se)) : (a.n && b.n && delta === 0 ? 1 : null);
+  return { a, b, delta, deltaPct: a.mean ? (delta / a.mean) * 100 : null, p };
+}
+
+/**
+ * A/B comparison: run the same batch (casts, seeds and starting seed) on `configA` and `configB` from
+ * the same positions, so both sides see identical seeds. Returns both batch results and the B − A
+ * deltas for hits per cast, DPS and (when both sides killed the boss at least once) time to kill.
+ */
+async function compareBatches(configA, configB, positions, opts = {}) {
+  const token = opts.token || { cancelled: false };
+  const baseSeed = opts.baseSeed !== undefined ? opts.baseSeed : (configA.seed || 1);
+  const side = (config, offset) => runBatch(config, positions, {
+    casts: opts.casts,
+    seeds: opts.seeds,
+    baseSeed,
+    token,
+    onProgress: opts.onProgress ? (f) => opts.onProgress((offset + f) / 2) : undefined,
+  });
+  const a = await side(configA, 0);
+  const b = token.cancelled ? null : await side(configB, 1);
+  if (!b) return { a, b, deltas: [], cancelled: true };
+  const deltas = [
+    { metric: 'hitsPerCast', ...compareSummaries(a.hitsPerCast, b.hitsPerCast) },
+    { metric: 'dps', ...compareSummaries(a.dps, b.dps) },
+  ];
+  if (a.kills && b.kills) deltas.push({ metric: 'ttk', ...compareSummaries(a.ttk, b.ttk) });
+  return { a, b, deltas, cancelled: !!token.cancelled };
+}
+
+// Entity radius used to keep swept positions clear of the walls (matches the caster/boss default)
+const SWEEP_ENTITY_RADIUS = 3;
+
+// Centres of a square grid over the arena, keeping only cells where an entity fits inside the walls
+function arenaGridCells(arenaType, cellSize, margin = SWEEP_ENTITY_RADIUS) {
+  const arena = batchDeps.createArena(arenaType);
+  const b = arena.bounds();
+  const cells = [];
+  for (let y = b.minY + cellSize / 2; y < b.maxY; y += cellSize) {
+    for (let x = b.minX + cellSize / 2; x < b.maxX; x += cellSize) {
+      if (arena.contains(x, y, margin)) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Heatmap sweep: move `mover` ('boss' or 'caster') to every grid cell inside the arena, keep the other
+ * entity at `positions`, and run a short batch (`casts` casts × `seeds` seeds) per cell.
+ * Cells are summarised by mean DPS, hit rate and hits per cast with their 95% CIs; `onCell` sees each as it lands.
+ */
+async function runHeatmap(config, positions, opts = {}) {
+  const mover = opts.mover === 'caster' ? 'caster' : 'boss';
+  const cellSize = Math.max(2, Number(opts.cellSize) || 20);
+  const token = opts.token || { cancelled: false };
+  const grid = arenaGridCells(config.arenaType, cellSize);
+  const cells = [];
+  let sliceStart = Date.now();
+  for (let i = 0; i < grid.length && !token.cancelled; i++) {
+    const at = grid[i];
+    const result = await runBatch(config, { ...positions, [mover]: at }, {
+      casts: opts.casts || 20,
+      seeds: opts.seeds || 2,
+      baseSeed: opts.baseSeed,
+      token,
+      onProgress: opts.onProgress ? (f) => opts.onProgress((i + f) / grid.length) : undefined,
+    });
+    if (result.cancelled) break;
+    const cell = {
+      x: at.x,
+      y: at.y,
+      dps: result.dps.mean,
+      dpsCi: result.dps.ci95,
+      hitRate: result.hitRate.mean,
+      hitsPerCast: result.hitsPerCast.mean,
+      hitsPerCastCi: result.hitsPerCast.ci95,
+    };
+    cells.push(cell);
+    if (opts.onCell) opts.onCell(cell);
+    // Cells are short batches that rarely hit runBatch's own yield point; yield between them too
+    if (Date.now() - sliceStart > BATCH_YIELD_MS) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      sliceStart = Date.now();
+    }
+  }
+  return { mover, cellSize, fixed: positions[mover === 'boss' ? 'caster' : 'boss'], cells, total: grid.length, cancelled: !!token.cancelled };
+}
+
+// Random points inside the arena (rejection sampling, seeded so a search can be repeated)
+function randomArenaPoints(arenaType, count, rng, margin = SWEEP_ENTITY_RADIUS) {
+  const arena = batchDeps.createArena(arenaType);
+  const b = arena.bounds();
+  const points = [];
+  for (let tries = 0; points.length < count && tries < count * 100; tries++) {
+    const x = rng.range(b.minX, b.maxX), y = rng.range(b.minY, b.maxY);
+    if (arena.contains(x, y, margin)) points.push({ x, y });
+  }
+  return points;
+}
+
+/**
+ * Position finder: which caster position (boss fixed, mode 'caster') or caster + boss pair (mode 'both')
+ * gives the most hits per cast. Candidates come from a grid (caster) or seeded random pairs (both) inside
+ * the arena, then successive halving: every round each survivor gets one more seed of `casts` casts (runs
+ * are pooled), the best third survive and the cast count doubles, until 2 × `top` remain. Those get a final
+ * `finalCasts` × `finalSeeds` evaluation. Returns the `top` candidates ranked by mean hits per cast, with
+ * pooled DPS / hits-per-cast summaries and the probability each one truly beats the next in line.
+ */
+async function findBestPositions(config, positions, opts = {}) {
+  const mode = opts.mode === 'both' ? 'both' : 'caster';
+  const top = Math.max(1, Math.floor(opts.top || 5));
+  const token = opts.token || { cancelled: false };
+  const baseSeed = opts.baseSeed !== undefined ? opts.baseSeed : (config.seed || 1);
+  const screenCasts = Math.max(1, Math.floor(opts.casts || 10));
+  const finalCasts = Math.max(1, Math.floor(opts.finalCasts || 100));
+  const finalSeeds = Math.max(1, Math.floor(opts.finalSeeds || 4));
+
+  let pool;
+  if (mode === 'caster') {
+    pool = arenaGridCells(config.arenaType, Math.max(2, Number(opts.cellSize) || 20))
+      .map(c => ({ caster: c, boss: { ...positions.boss } }));
+  } else {
+    const rng = new batchDeps.SeededRandom(baseSeed);
+    const count = Math.max(top, Math.floor(opts.candidates || 150));
+    const bosses = randomArenaPoints(config.arenaType, count, rng);
+    const casters = randomArenaPoints(config.arenaType, count, rng);
+    pool = bosses.map((boss, i) => ({ caster: casters[i], boss }));
+  }
+  for (const c of pool) c.runs = [];
+
+  // Plan the rounds up front so progress is a fraction of the total cast budget
+  const rounds = [];
+  for (let n = pool.length, casts = screenCasts; n > top * 2; casts *= 2) {
+    rounds.push({ casts, seeds: 1 });
+    n = Math.max(top * 2, Math.ceil(n / 3));
+  }
+  rounds.push({ casts: finalCasts, seeds: finalSeeds, final: true });
+  let totalWork = 0;
+  for (let i = 0, n = pool.length; i < rounds.length; i++) {
+    totalWork += n * rounds[i].casts * rounds[i].seeds;
+    n = Math.max(top * 2, Math.ceil(n / 3));
+  }
+
+  const score = (c) => summarizeSamples(c.runs.flatMap(r => r.hitsPerCast)).mean;
+  let doneWork = 0, seedOffset = 0, survivors = pool;
+  for (const round of rounds) {
+    if (token.cancelled) break;
+    for (const c of survivors) {
+      const result = await runBatch(config, { ...positions, caster: c.caster, boss: c.boss }, {
+        casts: round.casts,
+        seeds: round.seeds,
+        baseSeed: (baseSeed + seedOffset) >>> 0,
+        token,
+        onProgress: opts.onProgress ? (f) => opts.onProgress((doneWork + f * round.casts * round.seeds) / totalWork) : undefined,
+      });
+      if (result.cancelled) break;
+      c.runs.push(...result.runs);
+      doneWork += round.casts * round.seeds;
+    }
+    seedOffset += round.seeds;
+    survivors = survivors.filter(c => c.runs.length).sort((a, b) => score(b) - score(a));
+    if (!round.final) survivors = survivors.slice(0, Math.max(top * 2, Math.ceil(survivors.length / 3)));
+  }
+
+  const ranked = survivors.slice(0, top).map(c => {
+    const summary = summarizeBatch(c.runs);
+    return { caster: c.caster, boss: c.boss, hitsPerCast: summary.hitsPerCast, dps: summary.dps, seeds: c.runs.length };
+  });
+  // One-sided test of "this candidate beats the next one" on mean hits per cast
+  ranked.forEach((c, i) => {
+    const next = ranked[i + 1];
+    if (!next) { c.pAboveNext = null; return; }
+    const se = Math.hypot(standardError(c.hitsPerCast), standardError(next.hitsPerCast));
+    c.pAboveNext = se > 0 ? normalCdf((c.hitsPerCast.mean - next.hitsPerCast.mean) / se) : (c.hitsPerCast.mean > next.hitsPerCast.mean ? 1 : 0.5);
+  });
+  return { mode, candidates: ranked, evaluated: pool.length, cancelled: !!token.cancelled };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    runBatch, createBatchRun, summarizeBatch, summarizeSamples, histogram, percentile, normalCdf, standardError,
+    arenaGridCells, randomArenaPoints, runHeatmap, findBestPositions, compareSummaries, compareBatches,
+  };
+}
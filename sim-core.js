@@ -0,0 +1,2547 @@
+/* Twister simulation core (headless). Physics, casting and hit accounting in world units on a simulated clock.
+ * Loaded as a classic script by the page, via importScripts() in a Web Worker, or via require() in Node. */
+
+/* Utility */
+const TWO_PI = Math.PI * 2;
+const DEG_TO_RAD = Math.PI / 180;
+const FORK_ANGLE_RAD = 60 * DEG_TO_RAD;
+
+function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+function distance(a, b) { const dx = a.x - b.x; const dy = a.y - b.y; return Math.hypot(dx, dy); }
+
+// Returns earliest t in [0,1] for moving circle vs target circle (ray-circle intersection).
+function sweptCircleHitT(px, py, dx, dy, cx, cy, R) {
+  // Solve |(p + t d) - c|^2 = R^2 => (d·d) t^2 + 2 d·(p-c) t + |p-c|^2 - R^2 = 0
+  const mx = px - cx, my = py - cy;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (dx * mx + dy * my);
+  const c = mx * mx + my * my - R * R;
+  // If starting already inside, treat as immediate hit
+  if (c <= 0) return 0;
+  if (a === 0) return null; // no movement
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const sqrt = Math.sqrt(disc);
+  const t1 = (-b - sqrt) / (2 * a);
+  const t2 = (-b + sqrt) / (2 * a);
+  // We need the smallest non-negative within [0,1]
+  let t = null;
+  if (t1 >= 0 && t1 <= 1) t = t1;
+  else if (t2 >= 0 && t2 <= 1) t = t2;
+  return t;
+}
+
+// Closest points between segments P0->P1 and Q0->Q1; used for CCD support.
+function closestPointsBetweenSegments(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
+  const ux = p1x - p0x, uy = p1y - p0y;
+  const vx = q1x - q0x, vy = q1y - q0y;
+  const wx = p0x - q0x, wy = p0y - q0y;
+  const a = ux * ux + uy * uy;      // |u|^2
+  const b = ux * vx + uy * vy;      // u·v
+  const c = vx * vx + vy * vy;      // |v|^2
+  const d = ux * wx + uy * wy;      // u·w
+  const e = vx * wx + vy * wy;      // v·w
+  const D = a * c - b * b;
+  let sc, sN, sD = D;
+  let tc, tN, tD = D;
+
+  const EPS = 1e-9;
+  if (D < EPS) {
+    // parallel
+    sN = 0.0; sD = 1.0; tN = e; tD = c;
+  } else {
+    sN = (b * e - c * d);
+    tN = (a * e - b * d);
+    if (sN < 0) { sN = 0; tN = e; tD = c; }
+    else if (sN > sD) { sN = sD; tN = e + b; tD = c; }
+  }
+
+  if (tN < 0) {
+    tN = 0;
+    if (-d < 0) sN = 0; else if (-d > a) sN = sD; else { sN = -d; sD = a; }
+  } else if (tN > tD) {
+    tN = tD;
+    if ((-d + b) < 0) sN = 0; else if ((-d + b) > a) sN = sD; else { sN = (-d + b); sD = a; }
+  }
+
+  sc = Math.abs(sD) < EPS ? 0 : sN / sD;
+  tc = Math.abs(tD) < EPS ? 0 : tN / tD;
+
+  const px = p0x + sc * ux, py = p0y + sc * uy;
+  const qx = q0x + tc * vx, qy = q0y + tc * vy;
+  const dx = px - qx, dy = py - qy;
+  return { sc, tc, px, py, qx, qy, dist: Math.hypot(dx, dy) };
+}
+
+// Closest point from a point P to segment AB (projection clamped to [0,1]).
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+  const vx = bx - ax, vy = by - ay;
+  const wx = px - ax, wy = py - ay;
+  const vLen2 = vx * vx + vy * vy || 1;
+  let t = (wx * vx + wy * vy) / vLen2;
+  t = clamp(t, 0, 1);
+  const cx = ax + t * vx;
+  const cy = ay + t * vy;
+  const dx = px - cx, dy = py - cy;
+  return { t, cx, cy, dist: Math.hypot(dx, dy) };
+}
+
+// Exact time-of-impact for moving circle vs capsule segment; returns {t, nx, ny} or null.
+function sweptCircleSegmentTOI(p0x, p0y, dx, dy, ax, ay, bx, by, r) {
+  // Precompute segment basis
+  const ux = bx - ax, uy = by - ay;
+  const L = Math.hypot(ux, uy);
+  if (L === 0) {
+    // Degenerates to circle at A
+    const tCircle = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
+    if (tCircle == null) return null;
+    const cx = ax, cy = ay;
+    const px = p0x + dx * tCircle, py = p0y + dy * tCircle;
+    const nx = (px - cx) / (Math.hypot(px - cx, py - cy) || 1);
+    const ny = (py - cy) / (Math.hypot(px - cx, py - cy) || 1);
+    return { t: tCircle, nx, ny };
+  }
+  const unx = ux / L, uny = uy / L; // tangent
+  const nx0 = -uny, ny0 = unx;      // unit normal
+
+  // Infinite strip intersections: solve n·(P0 + t d - A) = ±r
+  const p0n = nx0 * (p0x - ax) + ny0 * (p0y - ay);
+  const dn = nx0 * dx + ny0 * dy;
+  const candidates = [];
+  const EPS = 1e-9;
+  if (Math.abs(dn) > EPS) {
+    for (const sgn of [+1, -1]) {
+      const t = (sgn * r - p0n) / dn;
+      if (t >= -EPS && t <= 1 + EPS) {
+        const px = p0x + dx * t;
+        const py = p0y + dy * t;
+        const s = unx * (px - ax) + uny * (py - ay); // projection along segment
+        if (s >= -EPS && s <= L + EPS) {
+          const normSign = Math.sign(nx0 * (px - ax) + ny0 * (py - ay));
+          const nx = (normSign >= 0) ? nx0 : -nx0;
+          const ny = (normSign >= 0) ? ny0 : -ny0;
+          candidates.push({ t: Math.max(0, Math.min(1, t)), nx, ny });
+        }
+      }
+    }
+  }
+
+  // Endcap circles at A and B
+  const tA = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
+  if (tA != null && tA >= 0 && tA <= 1) {
+    const px = p0x + dx * tA, py = p0y + dy * tA;
+    const vax = px - ax, vay = py - ay; const len = Math.hypot(vax, vay) || 1;
+    candidates.push({ t: tA, nx: vax / len, ny: vay / len });
+  }
+  const tB = sweptCircleHitT(p0x, p0y, dx, dy, bx, by, r);
+  if (tB != null && tB >= 0 && tB <= 1) {
+    const px = p0x + dx * tB, py = p0y + dy * tB;
+    const vbx = px - bx, vby = py - by; const len = Math.hypot(vbx, vby) || 1;
+    candidates.push({ t: tB, nx: vbx / len, ny: vby / len });
+  }
+
+  if (!candidates.length) return null;
+  let best = candidates[0];
+  for (let i = 1; i < candidates.length; i++) {
+    if (candidates[i].t < best.t) best = candidates[i];
+  }
+  return best;
+}
+
+/* Enemy hitboxes. A circle is just the entity's radius `r` (no hitbox object); the other shapes are built by
+ * createHitbox() in the enemy's local frame, long axis along +x, and rotated by `rotation` into the world.
+ * The functions below take a shape {x, y, r, hitbox} (an Entity or SimulationCore.enemyAt()) and a projectile
+ * circle; they work in the local frame, where a rotation doesn't change distances. */
+
+// config -> hitbox for bossShape, or null for a circle. Capsule and ellipse are bossLength long (tip to tip) and
+// 2 × bossRadius wide; a polygon is bossPolygon's vertices in world units around the centre.
+function createHitbox(config) {
+  const shape = config.bossShape;
+  const r = clamp(config.bossRadius || BOSS_RADIUS_UNITS, 0.1, 999);
+  const halfLength = Math.max(r, (config.bossLength || 0) / 2);
+  const rotation = (config.bossRotation || 0) * DEG_TO_RAD;
+  const base = { shape, rotation, cos: Math.cos(rotation), sin: Math.sin(rotation) };
+  if (shape === 'capsule') return { ...base, segmentHalf: halfLength - r, radius: r };
+  if (shape === 'ellipse') return { ...base, a: halfLength, b: r };
+  if (shape === 'polygon' && config.bossPolygon && config.bossPolygon.length >= 3) {
+    return { ...base, points: config.bossPolygon.map(p => ({ x: p.x, y: p.y })) };
+  }
+  return null;
+}
+
+// World point -> hitbox-local coordinates (relative to the shape's centre, unrotated)
+function toHitboxLocal(shape, px, py) {
+  const h = shape.hitbox;
+  const wx = px - shape.x, wy = py - shape.y;
+  return { x: h.cos * wx + h.sin * wy, y: -h.sin * wx + h.cos * wy };
+}
+
+function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i], b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Does a projectile circle (centre px, py, radius pr) touch the shape? Ellipses are grown by pr on both axes,
+// which is exact at the axis ends and slightly generous in between.
+function hitboxOverlaps(shape, px, py, pr) {
+  const h = shape.hitbox;
+  if (!h) return Math.hypot(px - shape.x, py - shape.y) <= shape.r + pr;
+  const l = toHitboxLocal(shape, px, py);
+  if (h.shape === 'capsule') return closestPointOnSegment(l.x, l.y, -h.segmentHalf, 0, h.segmentHalf, 0).dist <= h.radius + pr;
+  if (h.shape === 'ellipse') return (l.x / (h.a + pr)) ** 2 + (l.y / (h.b + pr)) ** 2 <= 1;
+  if (pointInPolygon(l.x, l.y, h.points)) return true;
+  return h.points.some((a, i) => {
+    const b = h.points[(i + 1) % h.points.length];
+    return closestPointOnSegment(l.x, l.y, a.x, a.y, b.x, b.y).dist <= pr;
+  });
+}
+
+// Earliest t in [0,1] at which a projectile circle moving from (px, py) by (dx, dy) touches the shape, or null.
+// A circle uses sweptCircleHitT directly; capsules and polygon edges are swept as segments thickened by the radius.
+function sweptHitboxT(shape, px, py, dx, dy, pr) {
+  const h = shape.hitbox;
+  if (!h) return sweptCircleHitT(px, py, dx, dy, shape.x, shape.y, pr + shape.r);
+  if (hitboxOverlaps(shape, px, py, pr)) return 0;
+  const l = toHitboxLocal(shape, px, py);
+  const ldx = h.cos * dx + h.sin * dy, ldy = -h.sin * dx + h.cos * dy;
+  if (h.shape === 'ellipse') {
+    // Scaling the grown ellipse to a unit circle keeps t
+    const ax = h.a + pr, by = h.b + pr;
+    return sweptCircleHitT(l.x / ax, l.y / by, ldx / ax, ldy / by, 0, 0, 1);
+  }
+  const edges = h.shape === 'capsule'
+    ? [[{ x: -h.segmentHalf, y: 0 }, { x: h.segmentHalf, y: 0 }, h.radius + pr]]
+    : h.points.map((a, i) => [a, h.points[(i + 1) % h.points.length], pr]);
+  let best = null;
+  for (const [a, b, r] of edges) {
+    const hit = sweptCircleSegmentTOI(l.x, l.y, ldx, ldy, a.x, a.y, b.x, b.y, r);
+    if (hit && hit.t >= 0 && hit.t <= 1 && (best === null || hit.t < best)) best = hit.t;
+  }
+  return best;
+}
+
+// Distance from the shape's centre to its rim in world direction (nx, ny) (a unit vector); r for a circle
+function hitboxExtent(shape, nx, ny) {
+  const h = shape.hitbox;
+  if (!h) return shape.r;
+  const lx = h.cos * nx + h.sin * ny, ly = -h.sin * nx + h.cos * ny;
+  if (h.shape === 'ellipse') return 1 / Math.hypot(lx / h.a, ly / h.b);
+  if (h.shape === 'capsule') {
+    const ax = Math.abs(lx), ay = Math.abs(ly);
+    // Through the straight side, or else out through an end cap
+    if (ay > 0 && (h.radius / ay) * ax <= h.segmentHalf) return h.radius / ay;
+    const s = h.segmentHalf * ax;
+    return s + Math.sqrt(Math.max(0, s * s - h.segmentHalf * h.segmentHalf + h.radius * h.radius));
+  }
+  // Polygon: the furthest edge crossing along the ray
+  let extent = 0;
+  h.points.forEach((a, i) => {
+    const b = h.points[(i + 1) % h.points.length];
+    const ex = b.x - a.x, ey = b.y - a.y;
+    const denom = lx * ey - ly * ex;
+    if (Math.abs(denom) < 1e-12) return;
+    const t = (a.x * ey - a.y * ex) / denom; // along the ray
+    const u = (a.x * ly - a.y * lx) / denom; // along the edge
+    if (t > 0 && u >= 0 && u <= 1) extent = Math.max(extent, t);
+  });
+  return extent;
+}
+
+// Manual cast cadence: cast time after cast speed, and seconds between cast starts. 'castSpeed' starts the next
+// cast as soon as one emits; 'interval' waits castInterval, but never less than the cast time.
+function castCadence(config) {
+  const castTime = Math.max(0, config.castTime || 0) / (1 + (config.castSpeed || 0) / 100);
+  const interval = config.castMode === 'castSpeed' ? castTime : Math.max(config.castInterval || 0, castTime);
+  return { castTime, interval: Math.max(MIN_CAST_INTERVAL_SEC, interval) };
+}
+
+// Per-cast, per-target hit cooldown in seconds (the default for config.hitCooldown)
+const PER_CAST_TARGET_COOLDOWN = 0.66;
+
+// What splits a cast into separate hit groups under each hit-group policy ('custom' reads the hitGroupBy* flags):
+// repeat = each barrage repeat, seal = base projectiles vs each seal's bundle, projectile = every projectile on its own
+const HIT_GROUP_POLICIES = {
+  cast: { repeat: false, seal: false, projectile: false },
+  repeat: { repeat: true, seal: false, projectile: false },
+  seal: { repeat: true, seal: true, projectile: false },
+  projectile: { repeat: true, seal: false, projectile: true },
+};
+
+// Armour: a hit with D physical damage against A armour loses A / (A + ARMOUR_DAMAGE_FACTOR × D) of it, capped
+const ARMOUR_DAMAGE_FACTOR = 10;
+const MAX_ARMOUR_REDUCTION = 0.9;
+// Bins of the damage-per-hit histogram, spread over [0, maxHitDamage(config)]
+const DAMAGE_HISTOGRAM_BINS = 20;
+// Damage rolls use their own PRNG stream (seed ^ salt), so crits and ranges don't shift a seed's projectile pattern
+const DAMAGE_SEED_SALT = 0x9E3779B9;
+
+// World unit references
+const ARENA_RADIUS_UNITS = 160; // circle arena radius in world units
+const BOSS_RADIUS_UNITS = 3;
+const CASTER_RADIUS_UNITS = 3;
+const PROJ_RADIUS_UNITS = 0.5;
+const BASE_PROJ_SPEED_UNITS = 75;
+
+// Core timing: fixed-step physics and sim-clock chart sampling
+const PHYSICS_DT = 1 / 120;
+const MAX_TERRAIN_STEP_UNITS = 0.75; // CCD safety step for terrain (world units)
+const PIERCE_NUDGE_UNITS = 0.5; // push past the enemy rim after a pierce/chain
+const CONTACT_EPSILON_UNITS = 1e-6; // rounding slack when a swept contact (exactly at the rim) is re-checked
+const CHAIN_RANGE_UNITS = 60; // how far a chain looks for its next target (rim to rim, assumed)
+const HIT_RATE_WINDOW_SEC = 5;
+const METRIC_SAMPLE_INTERVAL_SEC = 0.2;
+const NON_SALVO_COOLDOWN_SEC = 2.0; // default config.barrageCooldown
+const PARALLEL_SPACING_UNITS = 2; // sideways gap between projectiles of a 'parallel' cast shape
+const MIN_CAST_INTERVAL_SEC = 0.1; // a manual cadence never starts casts faster than this, even with a 0 s cast time
+const SCHEDULE_EPSILON_SEC = 1e-9; // clock rounding slack when a scheduled time falls on a tick boundary
+
+// Defaults mirror the inputs in index.html so headless runs match a fresh page
+const DEFAULT_CONFIG = {
+  arenaType: 'circle',
+  avgHit: 1000,
+  // Damage model (see SimulationCore.rollHitDamage); the defaults deal a flat avgHit with no mitigation
+  damageMin: 0, // with damageMax > 0, each hit rolls uniformly in [damageMin, damageMax] instead of using avgHit
+  damageMax: 0,
+  critChance: 0, // percent
+  critMultiplier: 200, // percent of the non-crit hit
+  physicalShare: 100, // percent of each hit that armour applies to; resistance applies to the rest
+  armourPenetration: 0, // percent of the enemy's armour ignored
+  resistancePenetration: 0, // percentage points; can't take a positive resistance below 0
+  enemyArmour: 0,
+  enemyResistance: 0, // percent
+  // Boss life pool (see SimulationCore.damageBoss); 0 = unkillable, the fight goes on until stopped
+  bossLife: 0,
+  bossRegen: 0, // life per second while casting
+  bossPhases: [], // life thresholds in percent, e.g. [66, 33]; reaching one makes the boss untargetable
+  bossPhaseDuration: 3, // seconds untargetable per phase
+  increasedProjSpeed: 0,
+  projectileCount: 1,
+  whirlwindStages: 3,
+  twisterRadius: PROJ_RADIUS_UNITS,
+  duration: 3,
+  pierceCount: 999, // Twisters always pierce
+  forkTimes: 0,
+  chainCount: 0,
+  splitCount: 0,
+  forkChance: 0,
+  bossRadius: BOSS_RADIUS_UNITS,
+  // Boss hitbox (see createHitbox); adds are always circles
+  bossShape: 'circle', // 'circle' | 'capsule' | 'ellipse' | 'polygon'
+  bossLength: 12, // capsule/ellipse length along its axis, tip to tip; the width is 2 × bossRadius
+  bossRotation: 0, // degrees; positive turns clockwise on screen (world y points down)
+  bossPolygon: [{ x: -6, y: -3 }, { x: 6, y: -3 }, { x: 6, y: 3 }, { x: -6, y: 3 }], // vertices around the centre
+  maxSeals: 3,
+  salvoSealCount: 3,
+  // Cast cadence (see castCadence): 'seals' waits for salvoSealCount seals (Salvo) or the barrage cooldown;
+  // 'interval' starts a cast every castInterval seconds and 'castSpeed' casts back to back
+  castMode: 'seals',
+  castInterval: 2, // seconds between cast starts ('interval')
+  castTime: 0.5, // base seconds from cast start to emission ('interval' and 'castSpeed')
+  castSpeed: 0, // increased cast speed (%), shortens castTime
+  // Salvo Support off (see SimulationCore.nonSalvoAngle): seconds between casts, and how the base projectiles are aimed
+  barrageCooldown: NON_SALVO_COOLDOWN_SEC,
+  castShape: 'cone', // 'circular' (random 360°) | 'cone' (random within coneAngle) | 'spread' (even across coneAngle) | 'parallel'
+  coneAngle: 30, // full width in degrees, centred on the boss
+  barrageCount: 0,
+  barrageTimeInterval: 0,
+  timeBetweenBarrageRepeats: 0.18,
+  // How barrage repeats are spread out (see barrageRepeatSpacing): 'linear' (timeBetweenBarrageRepeats apart),
+  // 'measured' (measuredBarrageWindow) or 'table' (barrageTimingTable, interpolated)
+  barrageTiming: 'linear',
+  barrageTimingTable: [{ count: 2, window: 2.5 }, { count: 3, window: 2.5 }, { count: 16, window: 4.5 }],
+  baseSealGainFrequency: 0.5,
+  baseProjSpeed: BASE_PROJ_SPEED_UNITS,
+  increasedSealGainFrequency: 0,
+  salvoSupport: true,
+  seed: 1,
+  // Twister steering (see Projectile.think): 'straight', 'wander' (Wander's random heading changes) or 'homing'
+  steering: 'straight',
+  wanderLambda: 3.0, // heading-change events per second
+  wanderSigmaSmall: 22, // degrees, the usual turn
+  wanderSigmaLarge: 75, // degrees, the occasional big turn
+  wanderIntensity: 1.0, // scales every wander turn (0 = straight)
+  homingTurnRate: 90, // degrees per second toward the nearest enemy
+  // Wall reflection deviation (see Projectile.reflectionDeviation): 'mirror' (none), 'uniform' (±N° rolled once per
+  // projectile), 'normal' (σ = N°, rolled once per projectile) or 'reroll' (±N° rolled on every bounce)
+  reflectionModel: 'uniform',
+  reflectionDeviation: 30, // N in degrees: half-width for uniform/reroll, standard deviation for normal
+  repeatsCopyReflection: true, // barrage repeats bounce like their main projectile instead of rolling their own
+  // Hit groups (see SimulationCore.hitGroup): each group hits each target once per hitCooldown seconds
+  hitGroupPolicy: 'repeat', // 'cast' | 'repeat' | 'seal' | 'projectile' | 'custom'
+  hitCooldown: PER_CAST_TARGET_COOLDOWN,
+  hitGroupByRepeat: true, // custom policy only
+  hitGroupBySeal: false, // custom policy only
+  hitGroupByProjectile: false, // custom policy only
+  // Scripted boss movement (see BossMovement); positions and distances in world units
+  bossMovement: 'static', // 'static' | 'chase' | 'strafe' | 'dash' | 'teleport' | 'path'
+  bossSpeed: 20, // walk speed for chase, strafe and path (units/s)
+  bossStandoff: 10, // chase stops this far from the caster (rim to rim)
+  bossOrbitRadius: 40, // strafe circle around the caster (centre to centre)
+  bossDashInterval: 3, // seconds between dashes (and between teleports)
+  bossDashDistance: 40,
+  bossDashSpeed: 120,
+  bossPath: [], // [{x, y}] waypoints: walked in a loop ('path') or teleported between in order ('teleport')
+  // Scripted caster movement (see CasterMovement); casts fire from wherever the caster is when they emit
+  casterMovement: 'static', // 'static' | 'path' | 'orbit' | 'backpedal' | 'roll'
+  casterSpeed: 15, // walk speed for path, orbit and back-pedal (units/s)
+  casterOrbitRadius: 50, // orbit circle around the boss (centre to centre)
+  casterKiteDistance: 60, // back-pedal until the boss is this far away (centre to centre)
+  casterRollInterval: 2, // seconds between dodge-rolls
+  casterRollDistance: 25,
+  casterRollSpeed: 100,
+  casterPath: [], // [{x, y}] waypoints walked in a loop ('path')
+};
+
+/**
+ * Seedable PRNG (mulberry32). Every random roll in the simulation goes through one of these,
+ * so the same seed and inputs replay the same projectile pattern.
+ */
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+  // Uniform in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  range(min, max) { return min + (max - min) * this.next(); }
+  gaussian() {
+    // Box-Muller transform
+    let u = 0, v = 0;
+    while (u === 0) u = this.next();
+    while (v === 0) v = this.next();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+  }
+}
+
+// Fresh seed for a new run (the only unseeded randomness; it picks the seed, not the rolls)
+function randomSeed() { return Math.floor(Math.random() * 1e9); }
+
+// Damage left after enemy mitigation: armour on the physical share of the hit, resistance on the rest
+function mitigateDamage(damage, config) {
+  const physical = damage * clamp(config.physicalShare, 0, 100) / 100;
+  const armour = Math.max(0, config.enemyArmour * (1 - clamp(config.armourPenetration, 0, 100) / 100));
+  const armourReduction = armour > 0 && physical > 0
+    ? Math.min(MAX_ARMOUR_REDUCTION, armour / (armour + ARMOUR_DAMAGE_FACTOR * physical))
+    : 0;
+  const resistance = config.enemyResistance > 0
+    ? Math.max(0, config.enemyResistance - config.resistancePenetration)
+    : config.enemyResistance;
+  return physical * (1 - armourReduction) + (damage - physical) * (1 - Math.min(100, resistance) / 100);
+}
+
+// Largest single hit the damage settings allow (top of the range, full whirlwind stages, a crit), after mitigation
+function maxHitDamage(config) {
+  let damage = config.damageMax > 0 ? Math.max(config.damageMin, config.damageMax) : config.avgHit;
+  damage *= 1.0 + (config.whirlwindStages || 0) * 0.8;
+  if (config.critChance > 0) damage *= Math.max(1, config.critMultiplier / 100);
+  return mitigateDamage(damage, config) || 1;
+}
+
+// Total window (main cast to last repeat) measured in game for a barrage count
+function measuredBarrageWindow(barrageCount) {
+  // Data points from testing:
+  // 2 barrage stacks: ~2.5 seconds
+  // 3 barrage stacks: ~2.5 seconds
+  // 16 barrage stacks: ~4.5 seconds
+  if (barrageCount <= 0) return 0;
+  if (barrageCount <= 3) return 2.5;
+  // Linear interpolation for barrage counts > 3
+  return 2.5 + (barrageCount - 3) * ((4.5 - 2.5) / (16 - 3));
+}
+
+// Window from a (barrage count -> total window) table: linear between rows, flat below the first row and
+// continuing the last two rows' slope above the last
+function tableBarrageWindow(table, barrageCount) {
+  const rows = (table || []).filter(r => Number.isFinite(r.count) && Number.isFinite(r.window))
+    .sort((a, b) => a.count - b.count);
+  if (barrageCount <= 0 || !rows.length) return 0;
+  if (barrageCount <= rows[0].count || rows.length === 1) return rows[0].window;
+  let i = 1;
+  while (i < rows.length - 1 && rows[i].count < barrageCount) i++;
+  const a = rows[i - 1], b = rows[i];
+  if (b.count === a.count) return b.window;
+  return Math.max(0, a.window + (barrageCount - a.count) * (b.window - a.window) / (b.count - a.count));
+}
+
+// Delay between consecutive barrage repeats under the selected timing model
+function barrageRepeatSpacing(config) {
+  const count = config.barrageCount || 0;
+  if (config.barrageTiming === 'measured' && count > 0) return measuredBarrageWindow(count) / count;
+  if (config.barrageTiming === 'table' && count > 0) return tableBarrageWindow(config.barrageTimingTable, count) / count;
+  return config.timeBetweenBarrageRepeats || 0.15;
+}
+
+// Total time from the main cast to the last barrage repeat
+function barrageTimingWindow(config) {
+  return barrageRepeatSpacing(config) * (config.barrageCount || 0);
+}
+
+/**
+ * Wander steering: Poisson-timed heading changes (some in short bursts) plus continuous micro jitter.
+ * Only stepped when the 'wander' steering model is selected; every projectile still builds one (which draws its first
+ * event time from the PRNG), so switching models doesn't shift the rolls of the other models.
+ * params: { lambda (events/s), sigmaSmall, sigmaLarge (degrees), intensity }
+ */
+class Wander {
+  constructor(rng, params = {}) {
+    this.rng = rng;
+    this.t = 0;
+    // Event rate ~3 Hz by default, matching observed low-velocity samples
+    this.lambda = params.lambda > 0 ? params.lambda : 3.0;
+    // Probability that an event uses the larger-angle distribution
+    this.pLarge = 0.35;
+    // Probability to spawn a short burst (1-2 extra events) around the main event
+    this.pBurst = 0.25;
+    // Angular deltas (radians)
+    this.sigmaSmall = (params.sigmaSmall !== undefined ? params.sigmaSmall : 22) * DEG_TO_RAD;
+    this.sigmaLarge = (params.sigmaLarge !== undefined ? params.sigmaLarge : 75) * DEG_TO_RAD;
+    this.truncSmall = 60 * DEG_TO_RAD;  // cap small at 60°
+    this.truncLarge = 120 * DEG_TO_RAD; // cap large at 120°
+    // Micro jitter: per sqrt(second)
+    this.sigmaMicro = 4 * DEG_TO_RAD;
+    this.intensity = params.intensity !== undefined ? params.intensity : 1.0;
+
+    this.nextEventAt = this.t + this.sampleExp(this.lambda);
+    this.pendingEvents = [];
+  }
+
+  sampleExp(rate) { return -Math.log(1 - this.rng.next()) / rate; }
+
+  sampleTruncatedNormal(sigma, maxAbs) {
+    // Centered at 0; accept-reject
+    for (let i = 0; i < 8; i++) {
+      const x = this.rng.gaussian() * sigma;
+      if (Math.abs(x) <= maxAbs) return x;
+    }
+    return clamp(this.rng.gaussian() * sigma, -maxAbs, maxAbs);
+  }
+
+  scheduleBurst(anchorTime) {
+    const extra = this.rng.next() < 0.5 ? 1 : 2;
+    for (let i = 0; i < extra; i++) {
+      const dt = this.rng.range(0.03, 0.12); // ~30–120 ms
+      this.pendingEvents.push(anchorTime + dt);
+    }
+    this.pendingEvents.sort((a, b) => a - b);
+  }
+
+  step(angle, dt) {
+    this.t += dt;
+    // Continuous micro jitter
+    angle += this.rng.gaussian() * this.sigmaMicro * Math.sqrt(Math.max(dt, 0)) * this.intensity;
+
+    // Process any due events (base or burst)
+    while (true) {
+      let eventTime = null;
+      if (this.pendingEvents.length && this.pendingEvents[0] <= this.t) {
+        eventTime = this.pendingEvents.shift();
+      } else if (this.t >= this.nextEventAt) {
+        eventTime = this.nextEventAt;
+        this.nextEventAt = this.t + this.sampleExp(this.lambda);
+        if (this.rng.next() < this.pBurst) this.scheduleBurst(eventTime);
+      } else {
+        break;
+      }
+
+      const useLarge = this.rng.next() < this.pLarge;
+      const sigma = useLarge ? this.sigmaLarge : this.sigmaSmall;
+      const trunc = useLarge ? this.truncLarge : this.truncSmall;
+      const delta = this.sampleTruncatedNormal(sigma, trunc) * this.intensity;
+      angle += delta;
+    }
+
+    return angle;
+  }
+}
+
+// Arena shape base + variants
+// Built with (0, 0, 1) the arena lives in world units centred on the origin (simulation);
+// built with canvas width/height/scale it lives in pixels (drawing).
+class Arena {
+  constructor(width, height) { this.width = width; this.height = height; }
+  // return {hit:boolean, nx:number, ny:number, reflect:boolean, x:number, y:number}
+  collideCircle(x, y, r) { return { hit: false }; }
+  // Whether a circle of radius r at (x, y) fits entirely inside the walkable area
+  contains(x, y, r = 0) { return true; }
+  // Axis-aligned box around the walkable area: {minX, minY, maxX, maxY}
+  bounds() { return { minX: 0, minY: 0, maxX: this.width, maxY: this.height }; }
+  draw(ctx) {}
+}
+
+class CircleArena extends Arena {
+  constructor(width, height, scale) {
+    super(width, height);
+    const radius = ARENA_RADIUS_UNITS * scale;
+    this.center = { x: width / 2, y: height / 2 };
+    this.radius = radius;
+  }
+  collideCircle(x, y, r) {
+    const dx = x - this.center.x; const dy = y - this.center.y;
+    const dist = Math.hypot(dx, dy);
+    const limit = this.radius - r;
+    if (dist > limit) {
+      const nx = dx / dist; const ny = dy / dist;
+      const px = this.center.x + nx * limit;
+      const py = this.center.y + ny * limit;
+      return { hit: true, nx, ny, reflect: true, x: px, y: py };
+    }
+    return { hit: false };
+  }
+  contains(x, y, r = 0) { return Math.hypot(x - this.center.x, y - this.center.y) <= this.radius - r; }
+  bounds() {
+    const { x, y } = this.center;
+    return { minX: x - this.radius, minY: y - this.radius, maxX: x + this.radius, maxY: y + this.radius };
+  }
+  draw(ctx) {
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(this.center.x, this.center.y, this.radius, 0, TWO_PI);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+class SquareArena extends Arena {
+  constructor(width, height, scale) {
+    super(width, height);
+    const side = ARENA_RADIUS_UNITS * 2 * scale; // match circle arena diameter
+    this.rect = {
+      x: (width - side) / 2,
+      y: (height - side) / 2,
+      w: side,
+      h: side,
+    };
+  }
+  collideCircle(x, y, r) {
+    const { x: rx, y: ry, w, h } = this.rect;
+    let nx = 0, ny = 0, hit = false;
+    let px = x, py = y;
+    if (x - r < rx) { px = rx + r; nx = -1; hit = true; }
+    if (x + r > rx + w) { px = rx + w - r; nx = 1; hit = true; }
+    if (y - r < ry) { py = ry + r; ny = -1; hit = true; }
+    if (y + r > ry + h) { py = ry + h - r; ny = 1; hit = true; }
+    if (!hit) return { hit: false };
+    const norm = Math.hypot(nx, ny) || 1;
+    return { hit: true, nx: nx / norm, ny: ny / norm, reflect: true, x: px, y: py };
+  }
+  contains(x, y, r = 0) {
+    const { x: rx, y: ry, w, h } = this.rect;
+    return x - r >= rx && x + r <= rx + w && y - r >= ry && y + r <= ry + h;
+  }
+  bounds() {
+    const { x, y, w, h } = this.rect;
+    return { minX: x, minY: y, maxX: x + w, maxY: y + h };
+  }
+  draw(ctx) {
+    const { x, y, w, h } = this.rect;
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, w, h);
+    ctx.restore();
+  }
+}
+
+class TJunctionArena extends Arena {
+  constructor(width, height, scale) {
+    super(width, height);
+    // Build a hollow T corridor: open connection between vertical stem and horizontal bar
+    const cx = width / 2; const cy = height / 2;
+    // World units (inner corridor sizes)
+    const stemWidthU = 100;
+    const stemHeightU = 260;
+    const barWidthU = 320;
+    const barHeightU = 80;
+
+    // Fit the full T height within the baseline circle footprint (320u) so it's centered and not clipped
+    const targetHUnits = ARENA_RADIUS_UNITS * 2; // 320u
+    const tHeightUnits = stemHeightU + barHeightU; // 340u by default
+    const fitFactor = Math.min(1, targetHUnits / tHeightUnits);
+    const sW = stemWidthU * scale * fitFactor;      // inner stem width
+    const sH = stemHeightU * scale * fitFactor;     // stem length
+    const bW = barWidthU * scale * fitFactor;       // inner bar width
+    const bH = barHeightU * scale * fitFactor;      // inner bar height
+
+    // Connection Y (where stem meets bar, at center of bar vertically)
+    const connectY = cy - sH / 2;
+    const barCenterY = connectY; // center of bar along Y
+    const barTopY = barCenterY - bH / 2;
+    const barBotY = barCenterY + bH / 2;
+
+    // Stem vertical walls terminate at bar bottom to leave opening
+    const stemLeftX = cx - sW / 2;
+    const stemRightX = cx + sW / 2;
+    const stemBotY = cy + sH / 2;
+
+    const barLeftX = cx - bW / 2;
+    const barRightX = cx + bW / 2;
+
+    // Interior as two overlapping boxes (for contains/bounds)
+    this.rooms = [
+      { x1: barLeftX, y1: barTopY, x2: barRightX, y2: barBotY },
+      { x1: stemLeftX, y1: barTopY, x2: stemRightX, y2: stemBotY },
+    ];
+
+    // Build segments: two stem sides, stem bottom cap, bar top wall, bar bottom walls left/right (gap at stem), bar end caps
+    this.segments = [
+      // Stem sides (stop at bar bottom)
+      { x1: stemLeftX, y1: barBotY, x2: stemLeftX, y2: stemBotY },
+      { x1: stemRightX, y1: barBotY, x2: stemRightX, y2: stemBotY },
+      // Stem bottom cap
+      { x1: stemLeftX, y1: stemBotY, x2: stemRightX, y2: stemBotY },
+      // Bar top wall (continuous)
+      { x1: barLeftX, y1: barTopY, x2: barRightX, y2: barTopY },
+      // Bar bottom wall split into left and right to leave opening for stem
+      { x1: barLeftX, y1: barBotY, x2: stemLeftX, y2: barBotY },
+      { x1: stemRightX, y1: barBotY, x2: barRightX, y2: barBotY },
+      // Bar end caps
+      { x1: barLeftX, y1: barTopY, x2: barLeftX, y2: barBotY },
+      { x1: barRightX, y1: barTopY, x2: barRightX, y2: barBotY },
+    ];
+  }
+  // Reflect off segments, simple circle-line collision correction
+  collideCircle(x, y, r) {
+    for (const s of this.segments) {
+      const vx = s.x2 - s.x1; const vy = s.y2 - s.y1;
+      const wx = x - s.x1; const wy = y - s.y1;
+      const vLen2 = vx * vx + vy * vy;
+      const t = clamp((wx * vx + wy * vy) / vLen2, 0, 1);
+      const cx = s.x1 + t * vx; const cy = s.y1 + t * vy;
+      const dx = x - cx; const dy = y - cy; const d = Math.hypot(dx, dy);
+      if (d < r) {
+        const nx = dx / (d || 1); const ny = dy / (d || 1);
+        return { hit: true, nx, ny, reflect: true, x: cx + nx * r, y: cy + ny * r };
+      }
+    }
+    return { hit: false };
+  }
+  contains(x, y, r = 0) {
+    if (!this.rooms.some(b => x >= b.x1 && x <= b.x2 && y >= b.y1 && y <= b.y2)) return false;
+    return this.segments.every(s => closestPointOnSegment(x, y, s.x1, s.y1, s.x2, s.y2).dist >= r);
+  }
+  bounds() {
+    const [bar, stem] = this.rooms;
+    return { minX: bar.x1, minY: bar.y1, maxX: bar.x2, maxY: stem.y2 };
+  }
+  draw(ctx) {
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.lineWidth = 4;
+    for (const s of this.segments) {
+      ctx.beginPath();
+      ctx.moveTo(s.x1, s.y1);
+      ctx.lineTo(s.x2, s.y2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+// Defaults to world space; pass canvas width/height/scale for a pixel-space copy to draw with
+function createArena(type, width = 0, height = 0, scale = 1) {
+  if (type === 'square') return new SquareArena(width, height, scale);
+  if (type === 'tjunction') return new TJunctionArena(width, height, scale);
+  return new CircleArena(width, height, scale);
+}
+
+// Entity (player/boss/adds); enemies carry an id used in hit-group lock keys
+const ADD_COLOR = '#ff9f6b';
+class Entity {
+  constructor(x, y, r, color, id) {
+    this.x = x; this.y = y; this.r = r; this.color = color; this.id = id; this.drag = false;
+    this.hitbox = null; // non-circular hitbox (see createHitbox); r still drives movement and wall clearance
+    this.vx = 0; this.vy = 0; // velocity during the current tick (scripted movement), for swept collision
+  }
+  // Draws the real hitbox (see createHitbox), or a circle of radius r
+  draw(ctx) {
+    const h = this.hitbox;
+    ctx.save();
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    if (!h) {
+      ctx.arc(this.x, this.y, this.r, 0, TWO_PI);
+    } else {
+      ctx.translate(this.x, this.y);
+      ctx.rotate(h.rotation);
+      if (h.shape === 'capsule') {
+        ctx.arc(h.segmentHalf, 0, h.radius, -Math.PI / 2, Math.PI / 2);
+        ctx.arc(-h.segmentHalf, 0, h.radius, Math.PI / 2, Math.PI * 1.5);
+        ctx.closePath();
+      } else if (h.shape === 'ellipse') {
+        ctx.ellipse(0, 0, h.a, h.b, 0, 0, TWO_PI);
+      } else {
+        h.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+        ctx.closePath();
+      }
+    }
+    ctx.fill();
+    ctx.restore();
+  }
+  contains(px, py) { return hitboxOverlaps(this, px, py, 0); }
+}
+
+// Movement helpers shared by BossMovement and CasterMovement; both return the end-of-tick position or null
+
+// One tick around `centre` at `radius` (dir 1 = counter-clockwise), closing in (or backing off) along the way
+function orbitStep(entity, centre, radius, speed, dir, dt) {
+  const step = speed * dt;
+  const angle = Math.atan2(entity.y - centre.y, entity.x - centre.x) + dir * step / radius;
+  const tx = centre.x + Math.cos(angle) * radius - entity.x;
+  const ty = centre.y + Math.sin(angle) * radius - entity.y;
+  const d = Math.hypot(tx, ty);
+  const k = d > step ? step / d : 1;
+  return { x: entity.x + tx * k, y: entity.y + ty * k };
+}
+
+// Walk `distance` along a waypoint loop; `state.waypoint` is the index of the next point. A single waypoint is
+// walked to and then held.
+function followPath(state, entity, path, distance) {
+  if (!path || !path.length) return null;
+  let budget = distance;
+  let x = entity.x, y = entity.y;
+  for (let i = 0; i <= path.length * 2 && budget > 0; i++) {
+    const p = path[state.waypoint % path.length];
+    const d = Math.hypot(p.x - x, p.y - y);
+    if (d > budget) {
+      x += ((p.x - x) / d) * budget;
+      y += ((p.y - y) / d) * budget;
+      break;
+    }
+    x = p.x; y = p.y;
+    budget -= d;
+    if (path.length === 1) break;
+    state.waypoint = (state.waypoint + 1) % path.length;
+  }
+  return x === entity.x && y === entity.y ? null : { x, y };
+}
+
+/**
+ * Scripted boss movement. update() is called once per tick while casting and returns where the boss should be at the
+ * end of the tick, or null to stay put; SimulationCore turns that into a velocity so the swept enemy collision sees
+ * the boss move during the tick. Teleports ({teleport: true}) jump at the start of the tick instead.
+ */
+class BossMovement {
+  constructor() {
+    this.timer = 0; // seconds since the last dash or teleport
+    this.waypoint = 0; // index into bossPath of the next point to walk to or teleport to
+    this.dashLeft = 0; // distance left in the current dash
+    this.dashDir = { x: 0, y: 0 };
+    this.strafeDir = 1; // 1 = counter-clockwise; flips when the orbit would leave the arena
+  }
+
+  update(boss, caster, arena, cfg, dt) {
+    switch (cfg.bossMovement) {
+      case 'chase': return this.chase(boss, caster, arena, cfg, dt);
+      case 'strafe': return this.strafe(boss, caster, arena, cfg, dt);
+      case 'dash': return this.dash(boss, caster, arena, cfg, dt);
+      case 'teleport': return this.teleport(boss, arena, cfg, dt);
+      case 'path': return followPath(this, boss, cfg.bossPath, cfg.bossSpeed * dt);
+      default: return null;
+    }
+  }
+
+  // Walk straight at the caster until the standoff gap is reached
+  chase(boss, caster, arena, cfg, dt) {
+    const dx = caster.x - boss.x; const dy = caster.y - boss.y;
+    const d = Math.hypot(dx, dy);
+    const stop = boss.r + caster.r + Math.max(0, cfg.bossStandoff);
+    if (d <= stop) return null;
+    const step = Math.min(cfg.bossSpeed * dt, d - stop);
+    const next = { x: boss.x + (dx / d) * step, y: boss.y + (dy / d) * step };
+    return arena.contains(next.x, next.y, boss.r) ? next : null;
+  }
+
+  // Circle the caster at the orbit radius, closing in (or backing off) along the way
+  strafe(boss, caster, arena, cfg, dt) {
+    const radius = Math.max(cfg.bossOrbitRadius, boss.r + caster.r);
+    const next = orbitStep(boss, caster, radius, cfg.bossSpeed, this.strafeDir, dt);
+    if (arena.contains(next.x, next.y, boss.r)) return next;
+    this.strafeDir = -this.strafeDir;
+    return null;
+  }
+
+  // Stand still, then every interval dash the dash distance toward where the caster is at that moment
+  dash(boss, caster, arena, cfg, dt) {
+    if (this.dashLeft <= 0) {
+      this.timer += dt;
+      if (this.timer < cfg.bossDashInterval) return null;
+      const dx = caster.x - boss.x; const dy = caster.y - boss.y;
+      const d = Math.hypot(dx, dy);
+      if (d === 0) return null;
+      this.timer = 0;
+      this.dashDir = { x: dx / d, y: dy / d };
+      this.dashLeft = cfg.bossDashDistance;
+    }
+    const step = Math.min(cfg.bossDashSpeed * dt, this.dashLeft);
+    this.dashLeft -= step;
+    const next = { x: boss.x + this.dashDir.x * step, y: boss.y + this.dashDir.y * step };
+    if (arena.contains(next.x, next.y, boss.r)) return next;
+    this.dashLeft = 0; // ran into a wall
+    return null;
+  }
+
+  // Every interval jump to the next waypoint, in order
+  teleport(boss, arena, cfg, dt) {
+    const path = cfg.bossPath || [];
+    if (!path.length) return null;
+    this.timer += dt;
+    if (this.timer < cfg.bossDashInterval) return null;
+    this.timer -= cfg.bossDashInterval;
+    const p = path[this.waypoint % path.length];
+    this.waypoint = (this.waypoint + 1) % path.length;
+    return arena.contains(p.x, p.y, boss.r) ? { x: p.x, y: p.y, teleport: true } : null;
+  }
+}
+
+/**
+ * Scripted caster movement (kiting), same contract as BossMovement. Casts and barrage repeats emit from the caster's
+ * position at the tick they fire in, so a moving caster spreads one cast's repeats along its route.
+ */
+class CasterMovement {
+  constructor() {
+    this.waypoint = 0; // next casterPath point
+    this.orbitDir = 1; // 1 = counter-clockwise; flips when the orbit would leave the arena
+    this.rollTimer = 0; // seconds since the last roll ended
+    this.rollLeft = 0; // distance left in the current roll
+    this.rollDir = { x: 0, y: 0 };
+    this.rollSide = 1; // rolls alternate sides across the boss direction
+  }
+
+  update(caster, boss, arena, cfg, dt) {
+    switch (cfg.casterMovement) {
+      case 'path': return followPath(this, caster, cfg.casterPath, cfg.casterSpeed * dt);
+      case 'orbit': return this.orbit(caster, boss, arena, cfg, dt);
+      case 'backpedal': return this.backpedal(caster, boss, arena, cfg, dt);
+      case 'roll': return this.roll(caster, boss, arena, cfg, dt);
+      default: return null;
+    }
+  }
+
+  // Circle the boss at the orbit radius
+  orbit(caster, boss, arena, cfg, dt) {
+    const radius = Math.max(cfg.casterOrbitRadius, boss.r + caster.r);
+    const next = orbitStep(caster, boss, radius, cfg.casterSpeed, this.orbitDir, dt);
+    if (arena.contains(next.x, next.y, caster.r)) return next;
+    this.orbitDir = -this.orbitDir;
+    return null;
+  }
+
+  // Walk straight away from the boss until the kite distance is reached, sliding sideways along walls
+  backpedal(caster, boss, arena, cfg, dt) {
+    const dx = caster.x - boss.x; const dy = caster.y - boss.y;
+    const d = Math.hypot(dx, dy);
+    if (d >= cfg.casterKiteDistance || d === 0) return null;
+    const step = Math.min(cfg.casterSpeed * dt, cfg.casterKiteDistance - d);
+    const ux = dx / d, uy = dy / d;
+    for (const [mx, my] of [[ux, uy], [-uy, ux], [uy, -ux]]) {
+      const next = { x: caster.x + mx * step, y: caster.y + my * step };
+      if (arena.contains(next.x, next.y, caster.r)) return next;
+    }
+    return null;
+  }
+
+  // Every interval, roll sideways across the boss direction (alternating sides), stopping at walls
+  roll(caster, boss, arena, cfg, dt) {
+    if (this.rollLeft <= 0) {
+      this.rollTimer += dt;
+      if (this.rollTimer < cfg.casterRollInterval) return null;
+      const dx = boss.x - caster.x; const dy = boss.y - caster.y;
+      const d = Math.hypot(dx, dy) || 1;
+      this.rollTimer = 0;
+      this.rollDir = { x: (-dy / d) * this.rollSide, y: (dx / d) * this.rollSide };
+      this.rollSide = -this.rollSide;
+      this.rollLeft = cfg.casterRollDistance;
+    }
+    const step = Math.min(cfg.casterRollSpeed * dt, this.rollLeft);
+    this.rollLeft -= step;
+    const next = { x: caster.x + this.rollDir.x * step, y: caster.y + this.rollDir.y * step };
+    if (arena.contains(next.x, next.y, caster.r)) return next;
+    this.rollLeft = 0; // rolled into a wall
+    return null;
+  }
+}
+
+// Key of the barrage sibling index: one cast instance's projectile group at one barrage repeat
+function barrageSiblingKey(instanceId, projectileGroupId, barrageRepeatIndex) {
+  return `${instanceId}|${projectileGroupId}|${barrageRepeatIndex}`;
+}
+
+// Projectile (world units; times in simulated seconds)
+class Projectile {
+  constructor(config) {
+    this.id = config.id;
+    this.castId = config.castId;
+    this.instanceId = config.instanceId; // groups main cast + all barrage repeats
+    this.barrageRepeatIndex = config.barrageRepeatIndex || 0; // 0 = main, 1+ = barrage repeat number
+    this.projectileGroupId = config.projectileGroupId; // unique ID for main + all its barrage repeats
+    this.sealBundle = config.sealBundle || 0; // 0 = base projectiles, n = the nth seal's projectiles
+    this.x = config.x;
+    this.y = config.y;
+    this.vx = Math.cos(config.angle) * config.speed;
+    this.vy = Math.sin(config.angle) * config.speed;
+    this.speed = config.speed;
+    this.angle = config.angle;
+    this.initialAngle = config.angle; // store original angle for deviation tracking
+    this.storedReflectionDeviation = null; // deviation (degrees) applied on the latest reflection
+    this.reflectionDeviations = []; // deviation per bounce; only [0] is used by the roll-once models
+    this.bounces = 0;
+    this.mainProjectileRef = null; // cached reference to the main projectile (for barrage repeats)
+    this.simulationRef = config.simulationRef; // reference to simulation instance for dynamic lookups
+    // Reflection model shared by every projectile of the simulation: { model, spreadDeg, repeatsCopy }
+    this.reflection = config.reflection || { model: 'uniform', spreadDeg: 30, repeatsCopy: true };
+    this.rng = config.rng; // the owning simulation's seeded PRNG
+    this.twisterRadiusUnits = config.twisterRadius || PROJ_RADIUS_UNITS;
+    this.radius = this.twisterRadiusUnits;
+    this.spawnTime = config.now;
+    this.duration = config.duration;
+    this.casterRef = config.casterRef; // live reference to caster entity (for 150u leash)
+    // Steering model shared by every projectile of the simulation: { model, turnRate (rad/s), wander params }
+    this.steering = config.steering || { model: 'straight' };
+    this.wander = new Wander(this.rng, this.steering.wander);
+    this.pierceRemaining = config.pierceCount;
+    this.forkRemaining = config.forkTimes;
+    this.chainRemaining = config.chainCount;
+    this.splitCount = config.splitCount; // number of new projectiles when split triggers
+    this.hasSplit = false;
+    this.lastBlockedAt = -Infinity; // last on-cooldown enemy contact (replay logging)
+    // Damage multiplier for barrage repeats (0.55 for 45% less damage)
+    this.damageMultiplier = config.damageMultiplier !== undefined ? config.damageMultiplier : 1.0;
+  }
+  age(now) { return now - this.spawnTime; }
+  isExpired(now) {
+    if (this.age(now) > this.duration && this.duration >= 0) return true;
+    return false;
+  }
+  // Steer before moving; returns true when the heading changed. Straight-line Twisters never turn.
+  think(dt, enemies) {
+    let angle = this.angle;
+    if (this.steering.model === 'wander') {
+      angle = this.wander.step(angle, dt);
+    } else if (this.steering.model === 'homing') {
+      // Turn toward the nearest enemy (centre to centre), at most turnRate * dt this tick
+      let target = null, best = Infinity;
+      for (const e of enemies) {
+        const d = Math.hypot(e.x - this.x, e.y - this.y);
+        if (d < best) { best = d; target = e; }
+      }
+      if (!target) return false;
+      let delta = Math.atan2(target.y - this.y, target.x - this.x) - angle;
+      delta = Math.atan2(Math.sin(delta), Math.cos(delta)); // wrap to [-π, π]
+      const maxTurn = this.steering.turnRate * dt;
+      angle += clamp(delta, -maxTurn, maxTurn);
+    }
+    if (angle === this.angle) return false;
+    this.angle = angle;
+    this.vx = Math.cos(angle) * this.speed;
+    this.vy = Math.sin(angle) * this.speed;
+    return true;
+  }
+  move(dt) { this.x += this.vx * dt; this.y += this.vy * dt; }
+  reflect(nx, ny) {
+    // reflect velocity vector over normal
+    const vdotn = this.vx * nx + this.vy * ny;
+    this.vx = this.vx - 2 * vdotn * nx;
+    this.vy = this.vy - 2 * vdotn * ny;
+    this.angle = Math.atan2(this.vy, this.vx);
+
+    const deviationDeg = this.reflectionDeviation();
+    this.storedReflectionDeviation = deviationDeg;
+    this.bounces += 1;
+    const deviationRad = deviationDeg * DEG_TO_RAD;
+    this.angle += deviationRad;
+
+    // Recalculate velocity components with new angle
+    this.vx = Math.cos(this.angle) * this.speed;
+    this.vy = Math.sin(this.angle) * this.speed;
+  }
+  // Deviation (degrees) added to the mirrored heading on this bounce. 'uniform' and 'normal' roll once and reuse it on
+  // every bounce; 'reroll' rolls a fresh one per bounce. Nothing is rolled for 'mirror'.
+  reflectionDeviation() {
+    if (this.reflection.model === 'mirror') return 0;
+    const bounce = this.reflection.model === 'reroll' ? this.bounces : 0;
+    if (this.reflectionDeviations[bounce] === undefined) {
+      const inherited = this.inheritedDeviation(bounce);
+      this.reflectionDeviations[bounce] = inherited !== undefined ? inherited : this.rollDeviation();
+    }
+    return this.reflectionDeviations[bounce];
+  }
+  // A barrage repeat copies the same bounce's deviation from its main projectile, or failing that from the repeat
+  // before it, when those are still alive and have already bounced that far
+  inheritedDeviation(bounce) {
+    if (this.barrageRepeatIndex === 0 || !this.reflection.repeatsCopy || !this.simulationRef) return undefined;
+    if (!this.mainProjectileRef) this.mainProjectileRef = this.simulationRef.findBarrageSibling(this, 0);
+    if (this.mainProjectileRef && this.mainProjectileRef.reflectionDeviations[bounce] !== undefined) {
+      return this.mainProjectileRef.reflectionDeviations[bounce];
+    }
+    const prev = this.barrageRepeatIndex > 1 ? this.simulationRef.findBarrageSibling(this, this.barrageRepeatIndex - 1) : null;
+    return prev ? prev.reflectionDeviations[bounce] : undefined;
+  }
+  rollDeviation() {
+    const { model, spreadDeg } = this.reflection;
+    // Clamped so a wide normal can't turn the projectile back into the wall
+    if (model === 'normal') return clamp(this.rng.gaussian() * spreadDeg, -90, 90);
+    return (this.rng.next() * 2 - 1) * spreadDeg;
+  }
+  draw(ctx, colorOverride) {
+    ctx.save();
+    ctx.fillStyle = colorOverride || '#7cc5ff';
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, this.radius, 0, TWO_PI);
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+/**
+ * Headless simulation: takes a config object (see DEFAULT_CONFIG), keeps entities and
+ * projectiles in world units centred on the arena, and only moves when advance()/step() is called.
+ * Nothing here touches the DOM or the wall clock; `time` is simulated seconds since construction/reset.
+ */
+class SimulationCore {
+  constructor(config = {}, options = {}) {
+    this.options = { logHits: false, castHistoryLimit: 10, ...options };
+    this.fixedDt = PHYSICS_DT; // high fidelity physics
+    this.maxTerrainStepUnits = MAX_TERRAIN_STEP_UNITS;
+    this.time = 0;
+    this.accum = 0;
+
+    // Entities (world units, origin at arena centre)
+    this.caster = new Entity(-40, 30, CASTER_RADIUS_UNITS, '#4aa3ff');
+    this.boss = new Entity(30, -30, BOSS_RADIUS_UNITS, '#ff6b6b', 'boss');
+    this.enemies = [this.boss]; // the boss first, then any adds
+    this.bossHome = { x: this.boss.x, y: this.boss.y }; // where reset() puts a moving boss back
+    this.casterHome = { x: this.caster.x, y: this.caster.y }; // likewise for a moving caster
+    this.casterLeash = true;
+
+    // Metrics history for twister charts (sampled on the simulated clock)
+    this.metrics = {
+      windowSec: 10,
+      samples: [], // {t, hitsTotal, hitsPerSec, dps, totalDamage, projAlive}
+      lastSampleAt: 0,
+      sampleInterval: METRIC_SAMPLE_INTERVAL_SEC,
+    };
+
+    this.castTargetLocks = new Map(); // key: castId+targetId -> nextAllowedHitTime
+    this.completedCastInstances = new Map(); // instanceId -> { hits: count, projCount: count, groups: Set of hit groups, completed: bool }
+    this.eventSink = null; // (event) => void; set by a ReplayRecorder while recording
+    this.runSink = null; // (kind, record) => void; set by a RunRecorder while recording
+    this.recordedVelocity = {}; // last recorded velocity per movement event type (see recordMotion)
+
+    this.setConfig(config);
+    this.reset();
+  }
+
+  setConfig(config) {
+    const prevSeed = this.config ? this.config.seed : undefined;
+    const prevLife = this.config ? this.config.bossLife : undefined;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    // An unchanged seed keeps the current roll sequence. A new one starts the run over (below): projectiles in
+    // flight and their Wander streams hold the old generator, so keeping them would make the run unreproducible
+    const reseeded = prevSeed !== undefined && this.config.seed !== prevSeed;
+    if (this.config.seed !== prevSeed) {
+      this.rng = new SeededRandom(this.config.seed);
+      this.damageRng = new SeededRandom(this.config.seed ^ DAMAGE_SEED_SALT);
+    }
+    // The histogram's bins span the largest possible hit, so a change to that range starts it over
+    if (this.damageStats && this.damageStats.binWidth !== maxHitDamage(this.config) / DAMAGE_HISTOGRAM_BINS) this.resetDamageStats();
+    this.arena = createArena(this.config.arenaType);
+    this.steering = {
+      model: this.config.steering,
+      turnRate: this.config.homingTurnRate * DEG_TO_RAD,
+      wander: {
+        lambda: this.config.wanderLambda,
+        sigmaSmall: this.config.wanderSigmaSmall,
+        sigmaLarge: this.config.wanderSigmaLarge,
+        intensity: this.config.wanderIntensity,
+      },
+    };
+    this.hitGroupParts = HIT_GROUP_POLICIES[this.config.hitGroupPolicy] || {
+      repeat: !!this.config.hitGroupByRepeat,
+      seal: !!this.config.hitGroupBySeal,
+      projectile: !!this.config.hitGroupByProjectile,
+    };
+    this.reflection = {
+      model: this.config.reflectionModel,
+      spreadDeg: this.config.reflectionDeviation,
+      repeatsCopy: !!this.config.repeatsCopyReflection,
+    };
+    // Highest threshold first; a new life pool starts the fight over at full life
+    this.bossPhases = (this.config.bossPhases || []).filter(p => p > 0 && p < 100).sort((a, b) => b - a);
+    if (prevLife !== undefined && this.config.bossLife !== prevLife) this.resetBossLife();
+    // live-apply enemy radius
+    this.boss.r = clamp(this.config.bossRadius || BOSS_RADIUS_UNITS, 0.1, 999);
+    this.boss.hitbox = createHitbox(this.config);
+    this.recordEvent({ type: 'config', config: { ...this.config } });
+    if (reseeded) this.reset();
+  }
+
+  // positions: { caster?: {x, y}, boss?: {x, y}, adds?: [{id, x, y, r}] } in world units.
+  // `adds` replaces the whole list of extra enemies; hit locks are keyed by id, so an add keeps them across updates.
+  setPositions(positions) {
+    if (positions.caster) {
+      this.caster.x = positions.caster.x; this.caster.y = positions.caster.y;
+      this.casterHome = { x: this.caster.x, y: this.caster.y };
+    }
+    if (positions.boss) {
+      this.boss.x = positions.boss.x; this.boss.y = positions.boss.y;
+      this.bossHome = { x: this.boss.x, y: this.boss.y };
+    }
+    if (positions.adds) {
+      this.enemies = [this.boss, ...positions.adds.map(a => new Entity(a.x, a.y, clamp(a.r || BOSS_RADIUS_UNITS, 0.1, 999), ADD_COLOR, a.id))];
+    }
+    this.recordPositions();
+  }
+
+  get adds() { return this.enemies.slice(1); }
+
+  recordPositions() {
+    this.recordedVelocity = {}; // a positions event restarts the movement tracks, so the next tick re-records them
+    this.recordEvent({
+      type: 'positions',
+      caster: { x: this.caster.x, y: this.caster.y },
+      boss: { x: this.boss.x, y: this.boss.y, r: this.boss.r },
+      adds: this.adds.map(a => ({ id: a.id, x: a.x, y: a.y, r: a.r })),
+    });
+  }
+
+  // Replay hook: events carry the sim time they happened at (defaults to the current tick)
+  recordEvent(event) {
+    if (!this.eventSink) return;
+    if (event.t === undefined) event.t = this.time;
+    this.eventSink(event);
+  }
+
+  // Spawns are recorded at the start of the tick they first move in, which is when their straight path begins
+  addProjectile(proj, source) {
+    this.projectiles.push(proj);
+    if (source === 'cast' && this.completedCastInstances.has(proj.instanceId)) {
+      this.completedCastInstances.get(proj.instanceId).groups.add(this.hitGroup(proj));
+    }
+    const key = barrageSiblingKey(proj.instanceId, proj.projectileGroupId, proj.barrageRepeatIndex);
+    if (!this.barrageSiblings.has(key)) this.barrageSiblings.set(key, []);
+    this.barrageSiblings.get(key).push(proj);
+    this.recordSpawn(proj, source);
+  }
+
+  // Earliest-spawned live projectile of proj's cast instance and projectile group at the given barrage repeat
+  findBarrageSibling(proj, barrageRepeatIndex) {
+    const list = this.barrageSiblings.get(barrageSiblingKey(proj.instanceId, proj.projectileGroupId, barrageRepeatIndex));
+    return list ? list[0] : null;
+  }
+
+  // Drop projectiles that didn't survive the tick from the sibling index
+  forgetProjectiles(gone) {
+    for (const proj of gone) {
+      const key = barrageSiblingKey(proj.instanceId, proj.projectileGroupId, proj.barrageRepeatIndex);
+      const list = this.barrageSiblings.get(key);
+      if (!list) continue;
+      list.splice(list.indexOf(proj), 1);
+      if (!list.length) this.barrageSiblings.delete(key);
+    }
+  }
+
+  recordSpawn(proj, source) {
+    if (!this.eventSink) return;
+    this.recordEvent({
+      type: 'spawn', source, id: proj.id, instanceId: proj.instanceId, castId: proj.castId,
+      barrageRepeatIndex: proj.barrageRepeatIndex, group: this.hitGroup(proj),
+      x: proj.x, y: proj.y, vx: proj.vx, vy: proj.vy, r: proj.radius,
+      expiresAt: proj.spawnTime + proj.duration,
+    });
+  }
+
+  reflectProjectile(proj, nx, ny, t) {
+    proj.reflect(nx, ny);
+    if (!this.eventSink) return;
+    this.recordEvent({ type: 'reflect', t, id: proj.id, x: proj.x, y: proj.y, vx: proj.vx, vy: proj.vy, deviationDeg: proj.storedReflectionDeviation });
+  }
+
+  // Replay: steering bends the straight track between spawn/reflect/hit nodes, so each heading change is a node too
+  recordSteer(proj, t) {
+    if (!this.eventSink) return;
+    this.recordEvent({ type: 'steer', t, id: proj.id, x: proj.x, y: proj.y, vx: proj.vx, vy: proj.vy });
+  }
+
+  // Back to t=0 with the PRNG rewound to the seed, so the next start() replays the same pattern
+  reset() {
+    this.rng = new SeededRandom(this.config.seed);
+    this.damageRng = new SeededRandom(this.config.seed ^ DAMAGE_SEED_SALT);
+    this.running = false;
+    this.time = 0;
+    this.accum = 0;
+    this.castAccumulator = 0;
+    this.projectiles = [];
+    this.barrageSiblings = new Map(); // instance|group|repeat -> live projectiles in spawn order (see findBarrageSibling)
+    this.currentSeals = 0; // Salvo seal tracking
+    this.lastSealAccumTime = 0; // for seal gain timing
+    this.barrageCooldownTimer = 0; // for non-Salvo barrage cooldown
+    this.barrageCastSchedule = []; // scheduled barrage repeats: {time, castNumber}
+    this.nextCastAt = 0; // manual cadence: when the next cast starts
+    this.castEmitAt = null; // manual cadence: when the cast in progress emits
+
+    // Hit tracking
+    this.hitsTotal = 0;
+    this.totalDamage = 0;
+    this.hitTimestamps = []; // for recent rate window
+    this.hitDamages = []; // damage of each hit in hitTimestamps, for DPS
+    this.resetDamageStats();
+    this.targetStats = new Map(); // enemy id -> { hits, damage, hitTimestamps, hitDamages }
+    this.castTargetLocks.clear();
+
+    // Per-cast hit tracking
+    this.currentInstanceId = null; // the instance id for current full cast (includes barrage)
+    this.currentCastHits = 0; // hits in current cast (including barrage repeats)
+    this.castHitHistory = []; // hits per completed cast, for averaging
+    this.projPerCastHistory = []; // history of max projectiles per cast
+    this.groupsPerCastHistory = []; // hit groups each completed cast created
+    this.completedCastInstances.clear();
+    this.completedCastCount = 0;
+    this.nextCastId = 1;
+    this.nextProjectileGroupId = 1;
+    this.nextProjectileId = 1;
+
+    this.metrics.samples = [];
+    this.metrics.lastSampleAt = 0;
+
+    // Scripted movement starts over from the placed positions
+    this.bossMovement = new BossMovement();
+    this.casterMovement = new CasterMovement();
+    this.bossTarget = null;
+    this.casterTarget = null;
+    this.boss.x = this.bossHome.x; this.boss.y = this.bossHome.y;
+    this.caster.x = this.casterHome.x; this.caster.y = this.casterHome.y;
+    this.boss.vx = 0; this.boss.vy = 0;
+    this.caster.vx = 0; this.caster.vy = 0;
+    this.resetBossLife();
+  }
+
+  resetBossLife() {
+    this.bossLife = this.config.bossLife;
+    this.nextBossPhase = 0; // index into this.bossPhases
+    this.bossUntargetableUntil = 0;
+    this.killTime = null; // sim time the boss died, i.e. the time to kill
+    this.recordLife();
+  }
+
+  // Begin casting: fire immediately with full seals (Salvo) or start the cooldown after this cast (non-Salvo).
+  // A manual cadence starts its first cast now instead, which emits after the cast time.
+  // A dead boss stays dead until reset().
+  start() {
+    if (this.killTime !== null) return;
+    this.running = true;
+    this.castAccumulator = 0; // Reset cast accumulator to prevent immediate cast
+    const manual = this.usesCastCadence();
+    if (this.config.salvoSupport !== false) {
+      this.currentSeals = this.config.maxSeals;
+      this.recordEvent({ type: 'seals', seals: this.currentSeals });
+    } else if (!manual) {
+      this.barrageCooldownTimer = this.config.barrageCooldown; // Set cooldown after first cast
+      this.recordEvent({ type: 'cooldown', remaining: this.barrageCooldownTimer });
+    }
+    this.recordLife();
+    if (manual) {
+      this.nextCastAt = this.time;
+      this.castEmitAt = null;
+    } else {
+      this.emitCast(this.time);
+    }
+  }
+
+  usesCastCadence() { return this.config.castMode === 'interval' || this.config.castMode === 'castSpeed'; }
+
+  stop() {
+    this.running = false;
+    this.castAccumulator = 0; // Reset cast accumulator when stopping
+    this.recordLife();
+  }
+
+  // Advance the simulated clock by `seconds` using fixed physics steps; returns the number of steps taken
+  advance(seconds) {
+    this.accum += seconds;
+    let steps = 0;
+    while (this.accum >= this.fixedDt) {
+      this.step(this.fixedDt);
+      this.accum -= this.fixedDt;
+      steps++;
+    }
+    return steps;
+  }
+
+  // Enemy behavior helpers (separate for clarity and testability)
+  applySplit(proj, nowTs) {
+    const n = Math.max(1, proj.splitCount);
+    for (let i = 0; i < n; i++) {
+      const theta = (i / n) * TWO_PI;
+      this.addProjectile(new Projectile({
+        id: this.nextProjectileId++,
+        castId: proj.castId,
+        instanceId: proj.instanceId,
+        barrageRepeatIndex: proj.barrageRepeatIndex,
+        sealBundle: proj.sealBundle,
+        x: proj.x,
+        y: proj.y,
+        angle: theta,
+        speed: proj.speed,
+        now: nowTs,
+        duration: Math.max(0, proj.duration - proj.age(nowTs)),
+        casterRef: this.caster,
+        pierceCount: proj.pierceRemaining,
+        forkTimes: proj.forkRemaining,
+        chainCount: proj.chainRemaining,
+        splitCount: 0,
+        twisterRadius: this.config.twisterRadius,
+        damageMultiplier: proj.damageMultiplier,
+        rng: this.rng,
+        steering: this.steering,
+        reflection: this.reflection,
+      }), 'split');
+    }
+    return 'remove';
+  }
+
+  // `at` is the enemy's position at the moment of contact (see enemyAt)
+  applyPierce(proj, at, dx, dy, d) {
+    proj.pierceRemaining -= 1;
+    // Nudge forward to avoid persistent overlap on the rim after a pierce
+    const nx = dx / (d || 1); const ny = dy / (d || 1);
+    const rim = hitboxExtent(at, nx, ny) + proj.radius + PIERCE_NUDGE_UNITS;
+    proj.x = at.x + nx * rim;
+    proj.y = at.y + ny * rim;
+    return 'keep';
+  }
+
+  applyFork(proj, nowTs) {
+    const base = Math.atan2(proj.vy, proj.vx);
+    const childAngles = [base + FORK_ANGLE_RAD, base - FORK_ANGLE_RAD];
+    if (this.rng.next() * 100 < this.config.forkChance) childAngles.push(base);
+    for (const a of childAngles) {
+      this.addProjectile(new Projectile({
+        id: this.nextProjectileId++,
+        castId: proj.castId,
+        instanceId: proj.instanceId,
+        barrageRepeatIndex: proj.barrageRepeatIndex,
+        sealBundle: proj.sealBundle,
+        x: proj.x,
+        y: proj.y,
+        angle: a,
+        speed: proj.speed,
+        now: nowTs,
+        duration: Math.max(0, proj.duration - proj.age(nowTs)),
+        casterRef: this.caster,
+        pierceCount: proj.pierceRemaining,
+        forkTimes: proj.forkRemaining - 1,
+        chainCount: proj.chainRemaining,
+        splitCount: 0,
+        twisterRadius: this.config.twisterRadius,
+        damageMultiplier: proj.damageMultiplier,
+        rng: this.rng,
+        steering: this.steering,
+        reflection: this.reflection,
+      }), 'fork');
+    }
+    return 'remove';
+  }
+
+  applyChain(proj, enemy, at, dx, dy, d) {
+    if (proj.chainRemaining > 0) proj.chainRemaining -= 1;
+    const next = this.findChainTarget(enemy);
+    if (next) {
+      // Leave from the rim facing the next target, heading straight at it
+      const angle = Math.atan2(next.y - at.y, next.x - at.x);
+      const rim = hitboxExtent(at, Math.cos(angle), Math.sin(angle)) + proj.radius + PIERCE_NUDGE_UNITS;
+      proj.x = at.x + Math.cos(angle) * rim;
+      proj.y = at.y + Math.sin(angle) * rim;
+      proj.angle = Math.atan2(next.y - proj.y, next.x - proj.x);
+      proj.vx = Math.cos(proj.angle) * proj.speed;
+      proj.vy = Math.sin(proj.angle) * proj.speed;
+      return 'keep';
+    }
+    // Behave like pierce when no alternate target exists: continue through
+    const nx = dx / (d || 1); const ny = dy / (d || 1);
+    const rim = hitboxExtent(at, nx, ny) + proj.radius + PIERCE_NUDGE_UNITS;
+    proj.x = at.x + nx * rim;
+    proj.y = at.y + ny * rim;
+    return 'keep';
+  }
+
+  // Nearest other enemy within chain range (rim to rim along the line between centres), or null
+  findChainTarget(from) {
+    let best = null, bestGap = CHAIN_RANGE_UNITS;
+    for (const e of this.enemies) {
+      if (e === from || !this.isTargetable(e)) continue;
+      const d = distance(e, from);
+      const nx = d ? (e.x - from.x) / d : 1, ny = d ? (e.y - from.y) / d : 0;
+      const gap = d - hitboxExtent(e, -nx, -ny) - hitboxExtent(from, nx, ny);
+      if (gap <= bestGap) { best = e; bestGap = gap; }
+    }
+    return best;
+  }
+
+  // Calculate expected projectile count for a full cast instance using formula:
+  // Proj Count = (1 + W + 2S)(1 + B)
+  // W = whirlwind stages, S = seals, B = barrage count
+  calculateExpectedProjectileCount(config, sealCount) {
+    const w = config.whirlwindStages || 0;
+    const s = sealCount || 0;
+    const b = config.barrageCount || 0;
+    const projectileCountPerCast = (1 + w + 2 * s) * (1 + b);
+    return projectileCountPerCast;
+  }
+
+  // Helper: emit projectiles for a single cast instance
+  // barrageRepeatIndex: 0 for main cast, 1+ for barrage repeats
+  // This method is called once for the main cast and once for each barrage repeat
+  // Each call emits: baseCount + (sealCount * 2) projectiles
+  // sealCount: if provided, use this seal count; otherwise use current seals
+  // angles: if provided, use these angles; otherwise generate random. Returns array of angles used if barrageRepeatIndex === 0
+  emitCastProjectiles(castId, now, barrageRepeatIndex = 0, sealCount = null, angles = null, instanceId = null, projectileGroupIds = null) {
+    const cfg = this.config;
+    // With Salvo: fire base projectiles + stages + 2 per seal consumed
+    // Base: projectileCount + whirlwindStages
+    // Seals: 2 projectiles per seal (only when Salvo Support is ON)
+    // Whirlwind stages: 1 projectile per stage (always, regardless of Salvo)
+    // Total per emission: (1 + W) always, plus (2S) when Salvo ON
+    // This gets emitted (1 + B) times total (once for main, once for each barrage)
+    // Overall per cast instance: (1 + W + 2S) * (1 + B) when Salvo ON, or (1 + W) * (1 + B) when Salvo OFF
+    const projectilesPerSeal = 2;
+
+    // Handle Salvo Support setting
+    const salvoEnabled = cfg.salvoSupport !== false; // default true if not specified
+
+    // Base projectiles: always 1 + whirlwind stages
+    const baseCount = 1 + (cfg.whirlwindStages || 0);
+    // Seal projectiles: only added when Salvo Support is ON
+    const actualSealCount = salvoEnabled ? (sealCount !== null ? sealCount : this.currentSeals) : 0;
+
+    // Calculate effective projectile speed with increased modifier
+    const increasePercent = (this.config.increasedProjSpeed || 0) / 100;
+    const effectiveSpeed = (this.config.baseProjSpeed || BASE_PROJ_SPEED_UNITS) * (1 + increasePercent);
+
+    // Calculate damage multiplier: 80% more damage per whirlwind stage (stacks additively)
+    // 0 stages = 1.0x, 1 stage = 1.8x, 2 stages = 2.6x, 3 stages = 3.4x, etc.
+    const whirlwindDamageMultiplier = 1.0 + (cfg.whirlwindStages || 0) * 0.8;
+
+    // Calculate angle toward boss if Salvo Support is disabled (adds don't steer the cone)
+    let angleTowardBoss = null;
+    if (!salvoEnabled) {
+      const dx = this.boss.x - this.caster.x;
+      const dy = this.boss.y - this.caster.y;
+      angleTowardBoss = Math.atan2(dy, dx);
+    }
+
+    // If this is the main cast (barrageRepeatIndex === 0) and no groupIds provided, generate and track them
+    const capturedAngles = (barrageRepeatIndex === 0 && !angles) ? [] : null;
+    const capturedGroupIds = (barrageRepeatIndex === 0 && !projectileGroupIds) ? [] : null;
+    let angleIdx = 0;
+
+    // Fire base projectiles (group 0)
+    for (let i = 0; i < baseCount; i++) {
+      let angle;
+      if (angles) {
+        angle = angles[angleIdx];
+      } else if (salvoEnabled) {
+        angle = this.rng.range(0, TWO_PI);
+      } else {
+        angle = this.nonSalvoAngle(i, baseCount, angleTowardBoss);
+      }
+      // Parallel projectiles leave side by side, centred on the caster
+      let x = this.caster.x, y = this.caster.y;
+      if (!salvoEnabled && cfg.castShape === 'parallel') {
+        const lateral = (i - (baseCount - 1) / 2) * PARALLEL_SPACING_UNITS;
+        x -= Math.sin(angle) * lateral;
+        y += Math.cos(angle) * lateral;
+      }
+      let groupId = projectileGroupIds ? projectileGroupIds[angleIdx] : this.nextProjectileGroupId++;
+      angleIdx++;
+      if (capturedAngles) capturedAngles.push(angle);
+      if (capturedGroupIds) capturedGroupIds.push(groupId);
+      // Apply barrage repeat damage reduction if needed, combined with whirlwind boost
+      const barrageMultiplier = barrageRepeatIndex > 0 ? 0.55 : 1.0; // 45% less damage for repeats
+      const damageMultiplier = barrageMultiplier * whirlwindDamageMultiplier;
+      this.addProjectile(new Projectile({
+        id: this.nextProjectileId++,
+        castId,
+        instanceId,
+        barrageRepeatIndex,
+        projectileGroupId: groupId,
+        x,
+        y,
+        angle,
+        speed: effectiveSpeed,
+        now,
+        duration: this.config.duration,
+        casterRef: this.caster,
+        pierceCount: this.config.pierceCount,
+        forkTimes: this.config.forkTimes,
+        chainCount: this.config.chainCount,
+        splitCount: this.config.splitCount,
+        twisterRadius: this.config.twisterRadius,
+        damageMultiplier,
+        simulationRef: this,
+        rng: this.rng,
+        steering: this.steering,
+        reflection: this.reflection,
+      }), 'cast');
+    }
+
+    // Fire seal projectiles, one bundle per seal (same barrageRepeatIndex)
+    // Salvo seals add 2 projectiles per seal, up to 3 seals = 6 additional projectiles
+    // Whether a bundle is its own hit group is up to the hit-group policy (see hitGroup)
+    for (let sealIdx = 0; sealIdx < actualSealCount; sealIdx++) {
+      for (let i = 0; i < projectilesPerSeal; i++) {
+        // Generate random firing direction for seal projectiles
+        const angle = this.rng.range(0, TWO_PI);
+        let groupId = projectileGroupIds ? projectileGroupIds[angleIdx] : this.nextProjectileGroupId++;
+        angleIdx++;
+        if (capturedAngles) capturedAngles.push(angle);
+        if (capturedGroupIds) capturedGroupIds.push(groupId);
+        // Apply barrage repeat damage reduction if needed, combined with whirlwind boost
+        const barrageMultiplier = barrageRepeatIndex > 0 ? 0.55 : 1.0; // 45% less damage for repeats
+        const damageMultiplier = barrageMultiplier * whirlwindDamageMultiplier;
+        this.addProjectile(new Projectile({
+          id: this.nextProjectileId++,
+          castId,
+          instanceId,
+          barrageRepeatIndex,
+          projectileGroupId: groupId,
+          sealBundle: sealIdx + 1,
+          x: this.caster.x,
+          y: this.caster.y,
+          angle,
+          speed: effectiveSpeed,
+          now,
+          duration: this.config.duration,
+          casterRef: this.caster,
+          pierceCount: this.config.pierceCount,
+          forkTimes: this.config.forkTimes,
+          chainCount: this.config.chainCount,
+          splitCount: this.config.splitCount,
+          twisterRadius: this.config.twisterRadius,
+          damageMultiplier,
+          simulationRef: this,
+          rng: this.rng,
+          steering: this.steering,
+          reflection: this.reflection,
+        }), 'cast');
+      }
+    }
+
+    // Return captured angles, group IDs, and projectile count for barrage repeats to use
+    const projCount = baseCount + (actualSealCount * projectilesPerSeal);
+    this.recordEvent({ type: 'emit', castId, instanceId, barrageRepeatIndex, seals: actualSealCount, projCount, caster: { x: this.caster.x, y: this.caster.y } });
+    return { angles: capturedAngles, groupIds: capturedGroupIds, projCount };
+  }
+
+  // Salvo Support off: direction of base projectile i of `count`, by castShape around the boss direction
+  nonSalvoAngle(i, count, towardBoss) {
+    const cfg = this.config;
+    switch (cfg.castShape) {
+      case 'circular': return this.rng.range(0, TWO_PI);
+      case 'spread': return count > 1 ? towardBoss + (i / (count - 1) - 0.5) * cfg.coneAngle * DEG_TO_RAD : towardBoss;
+      case 'parallel': return towardBoss;
+      default: {
+        const coneHalfWidth = (cfg.coneAngle / 2) * DEG_TO_RAD;
+        return towardBoss + (this.rng.next() - 0.5) * 2 * coneHalfWidth;
+      }
+    }
+  }
+
+  emitCast(now) {
+    const cfg = this.config;
+    const castId = this.nextCastId++;
+    const instanceId = castId; // use castId as the instance identifier
+
+    // Track the instance and reset hits for this cast
+    this.currentInstanceId = instanceId;
+    this.currentCastHits = 0;
+    // Register this instance in the tracking map
+    this.completedCastInstances.set(instanceId, { t: now, seals: this.currentSeals, hits: 0, damage: 0, projCount: 0, groups: new Set(), completed: false });
+    this.recordEvent({ type: 'cast', t: now, castId, instanceId, seals: this.currentSeals, barrageCount: cfg.barrageCount });
+
+    // Emit main cast and capture the angles and projectile count
+    const castResult = this.emitCastProjectiles(castId, now, 0, null, null, instanceId);
+    const castAngles = castResult.angles;
+    const castGroupIds = castResult.groupIds;
+    const projCountPerEmission = castResult.projCount;
+
+    // Add main cast projectile count to instance total
+    this.completedCastInstances.get(instanceId).projCount += projCountPerEmission;
+
+    // Schedule barrage repeats if enabled
+    if (cfg.barrageCount > 0) {
+      // Spacing from the barrage timing model (timeBetweenBarrageRepeats for linear)
+      const timeBetweenRepeats = barrageRepeatSpacing(cfg);
+      // Capture the seal count for all repeats to use
+      const castSealCount = this.currentSeals;
+      // Space each repeat evenly across the window
+      for (let repeatIdx = 1; repeatIdx <= cfg.barrageCount; repeatIdx++) {
+        // Space repeats linearly: first repeat at timeBetweenRepeats, second at 2x, etc.
+        const repeatTime = timeBetweenRepeats * repeatIdx;
+        // Each barrage repeat gets a unique castId for independent hit groups
+        const barrageRepeatCastId = this.nextCastId++;
+        this.barrageCastSchedule.push({
+          time: now + repeatTime,
+          castId: barrageRepeatCastId,
+          instanceId: instanceId,
+          barrageRepeatIndex: repeatIdx,
+          sealCount: castSealCount,
+          angles: castAngles,
+          groupIds: castGroupIds,
+        });
+      }
+    }
+
+    // Consume all seals after casting
+    this.currentSeals = 0;
+    this.recordEvent({ type: 'seals', seals: 0 });
+  }
+
+  // Hit group a projectile belongs to under the selected policy; each group can hit each target once per cooldown.
+  // The default (per barrage repeat) is instanceId|barrageRepeatIndex.
+  hitGroup(proj) {
+    const parts = this.hitGroupParts;
+    let group = String(proj.instanceId);
+    if (parts.repeat) group += '|' + proj.barrageRepeatIndex;
+    // Fork/split children have no projectile group of their own, so they count as separate projectiles
+    if (parts.projectile) group += '|p' + (proj.projectileGroupId !== undefined ? proj.projectileGroupId : 'c' + proj.id);
+    else if (parts.seal) group += '|s' + proj.sealBundle;
+    return group;
+  }
+
+  // Lock key shared by hit accounting and the renderer's cooldown highlight
+  hitGroupKey(proj, targetId = 'boss') {
+    return this.hitGroup(proj) + '|' + targetId;
+  }
+
+  // On cooldown against one target, or (no targetId) against any enemy
+  isOnCooldown(proj, targetId) {
+    if (targetId !== undefined) return this.time < (this.castTargetLocks.get(this.hitGroupKey(proj, targetId)) || 0);
+    return this.enemies.some(e => this.time < (this.castTargetLocks.get(this.hitGroupKey(proj, e.id)) || 0));
+  }
+
+  targetStatsFor(targetId) {
+    let stats = this.targetStats.get(targetId);
+    if (!stats) { stats = { hits: 0, damage: 0, hitTimestamps: [], hitDamages: [] }; this.targetStats.set(targetId, stats); }
+    return stats;
+  }
+
+  // Returns the damage dealt, or null when the hit group is still on cooldown for this target
+  tryApplyHit(proj, now, enemy = this.boss) {
+    // Per-group, per-target cooldown; the group depends on the hit-group policy
+    // Key: hitGroup | targetId
+    const key = this.hitGroupKey(proj, enemy.id);
+    const nextOk = this.castTargetLocks.get(key) || 0;
+    if (now >= nextOk) {
+      this.hitsTotal += 1;
+      const { damage, crit } = this.rollHitDamage(proj);
+      this.lastHitCrit = crit;
+      this.totalDamage += damage;
+      this.hitTimestamps.push(now);
+      this.hitDamages.push(damage);
+      this.addDamageSample(damage, crit);
+      const stats = this.targetStatsFor(enemy.id);
+      stats.hits += 1;
+      stats.damage += damage;
+      stats.hitTimestamps.push(now);
+      stats.hitDamages.push(damage);
+
+      // Track hits for current full cast instance (including barrage repeats)
+      if (proj.instanceId === this.currentInstanceId) {
+        this.currentCastHits += 1;
+      }
+
+      // Also update the tracking map for this instance (counts late hits after a newer cast started too)
+      if (this.completedCastInstances.has(proj.instanceId)) {
+        const entry = this.completedCastInstances.get(proj.instanceId);
+        entry.hits += 1;
+        entry.damage += damage;
+      }
+      if (this.runSink) {
+        this.runSink('hit', {
+          t: now, instanceId: proj.instanceId, barrageRepeatIndex: proj.barrageRepeatIndex, projectileId: proj.id,
+          target: enemy.id, group: this.hitGroup(proj), damage, crit, x: proj.x, y: proj.y,
+        });
+      }
+
+      this.castTargetLocks.set(key, now + this.config.hitCooldown);
+      if (enemy === this.boss && this.config.bossLife > 0) this.damageBoss(damage, now);
+      return damage;
+    }
+    return null;
+  }
+
+  // One hit's damage: the base (flat avgHit, or a roll in the damage range) times the projectile's multiplier
+  // (whirlwind stages, barrage repeat penalty), a crit roll, then enemy mitigation
+  rollHitDamage(proj) {
+    const cfg = this.config;
+    let damage = cfg.damageMax > 0
+      ? this.damageRng.range(Math.min(cfg.damageMin, cfg.damageMax), cfg.damageMax)
+      : cfg.avgHit;
+    damage *= proj.damageMultiplier || 1.0;
+    const crit = cfg.critChance > 0 && this.damageRng.next() * 100 < cfg.critChance;
+    if (crit) damage *= cfg.critMultiplier / 100;
+    return { damage: mitigateDamage(damage, cfg), crit };
+  }
+
+  // A phased boss can't be taken past its next threshold in one hit: it stops there and turns untargetable for
+  // bossPhaseDuration. At 0 life the boss dies, casting stops and killTime holds the time to kill.
+  damageBoss(damage, now) {
+    let life = this.bossLife - damage;
+    if (this.nextBossPhase < this.bossPhases.length) {
+      const threshold = this.config.bossLife * this.bossPhases[this.nextBossPhase] / 100;
+      if (life <= threshold) {
+        life = threshold;
+        this.nextBossPhase += 1;
+        this.bossUntargetableUntil = now + this.config.bossPhaseDuration;
+        this.recordEvent({ type: 'bossPhase', t: now, threshold: this.bossPhases[this.nextBossPhase - 1], until: this.bossUntargetableUntil });
+      }
+    }
+    this.bossLife = Math.max(0, life);
+    if (this.bossLife === 0) {
+      this.killTime = now;
+      this.running = false;
+      this.castAccumulator = 0;
+      this.barrageCastSchedule = [];
+      this.recordEvent({ type: 'kill', t: now });
+    }
+    this.recordLife(now);
+  }
+
+  regenBoss(dt) {
+    const cfg = this.config;
+    if (cfg.bossLife <= 0 || cfg.bossRegen <= 0 || this.killTime !== null) return;
+    this.bossLife = Math.min(cfg.bossLife, this.bossLife + cfg.bossRegen * dt);
+  }
+
+  // Dead and phasing bosses can't be hit or chained to; projectiles pass through them
+  isTargetable(enemy) {
+    return enemy !== this.boss || (this.killTime === null && this.time >= this.bossUntargetableUntil);
+  }
+
+  // Replay: life after each change and whenever regeneration starts or stops; the regeneration in between is
+  // recomputed from the config
+  recordLife(t) {
+    if (!this.eventSink) return;
+    this.recordEvent({
+      type: 'life', t, life: this.bossLife, regenerating: this.running,
+      untargetableUntil: this.bossUntargetableUntil, killTime: this.killTime,
+    });
+  }
+
+  resetDamageStats() {
+    const binWidth = maxHitDamage(this.config) / DAMAGE_HISTOGRAM_BINS;
+    this.damageStats = { hits: 0, crits: 0, sum: 0, min: Infinity, max: 0, binWidth, counts: new Array(DAMAGE_HISTOGRAM_BINS).fill(0) };
+  }
+
+  addDamageSample(damage, crit) {
+    const stats = this.damageStats;
+    stats.hits += 1;
+    if (crit) stats.crits += 1;
+    stats.sum += damage;
+    stats.min = Math.min(stats.min, damage);
+    stats.max = Math.max(stats.max, damage);
+    stats.counts[Math.min(DAMAGE_HISTOGRAM_BINS - 1, Math.floor(damage / stats.binWidth))] += 1;
+  }
+
+  // One replay event per enemy contact: whether it counted, and what the projectile did next
+  recordHit(proj, enemy, now, damage, behaviour, result) {
+    if (!this.eventSink) return;
+    if (damage === null) {
+      // Overlap is re-tested every substep; log a blocked contact once, not every tick it persists
+      const repeat = now - proj.lastBlockedAt <= 2 * this.fixedDt;
+      proj.lastBlockedAt = now;
+      if (repeat) return;
+    }
+    const key = this.hitGroupKey(proj, enemy.id);
+    this.recordEvent({
+      type: 'hit', t: now, id: proj.id, target: enemy.id, group: this.hitGroup(proj),
+      registered: damage !== null, damage: damage || 0, crit: damage !== null && this.lastHitCrit, lockedUntil: this.castTargetLocks.get(key) || 0,
+      behaviour, removed: result === 'remove',
+      x: proj.x, y: proj.y, vx: proj.vx, vy: proj.vy,
+    });
+  }
+
+  // Where an enemy is at time t within the current tick (it moves at its tick velocity from this.time)
+  enemyAt(enemy, t) {
+    if (!enemy.vx && !enemy.vy) return enemy;
+    const dt = t - this.time;
+    return { x: enemy.x + enemy.vx * dt, y: enemy.y + enemy.vy * dt, r: enemy.r, hitbox: enemy.hitbox };
+  }
+
+  handleProjectileEnemyCollision(proj, now, enemy = this.boss) {
+    // Check circle overlap
+    const at = this.enemyAt(enemy, now);
+    const dx = proj.x - at.x; const dy = proj.y - at.y;
+    const d = Math.hypot(dx, dy);
+    const touching = at.hitbox
+      ? hitboxOverlaps(at, proj.x, proj.y, proj.radius + CONTACT_EPSILON_UNITS)
+      : d <= proj.radius + enemy.r + CONTACT_EPSILON_UNITS;
+    if (touching) {
+      const damage = this.tryApplyHit(proj, now, enemy);
+      if (damage !== null) {
+        if (this.options.logHits) console.log(`[HIT] Proj ${proj.id} BarrageIdx:${proj.barrageRepeatIndex} Target:${enemy.id} - Distance: ${d.toFixed(2)}, Threshold: ${(proj.radius + enemy.r).toFixed(2)}`);
+        // Only one behavior can occur per collision; priority: Split -> Pierce -> Fork -> Chain
+        let behaviour, result;
+        if (!proj.hasSplit && proj.splitCount > 0) {
+          // 1) Split (even 360° emission).
+          proj.hasSplit = true;
+          behaviour = 'split';
+          result = this.applySplit(proj, now);
+        } else if (proj.pierceRemaining > 0) {
+          // 2) Pierce
+          behaviour = 'pierce';
+          result = this.applyPierce(proj, at, dx, dy, d);
+        } else if (proj.forkRemaining > 0) {
+          // 3) Fork
+          behaviour = 'fork';
+          result = this.applyFork(proj, now);
+        } else if (proj.chainRemaining > 0) {
+          // 4) Chain (to the nearest other enemy in range, else behave like pierce)
+          behaviour = 'chain';
+          result = this.applyChain(proj, enemy, at, dx, dy, d);
+        } else {
+          // No remaining behaviors -> absorbed on hit
+          behaviour = 'absorb';
+          result = 'remove';
+        }
+        this.recordHit(proj, enemy, now, damage, behaviour, result);
+        return result;
+      }
+      // No hit registered due to per-cast cooldown; pass through without behaviors
+      if (this.options.logHits) console.log(`[BLOCKED] Proj ${proj.id} BarrageIdx:${proj.barrageRepeatIndex} Target:${enemy.id} - On cooldown`);
+      this.recordHit(proj, enemy, now, null, null, 'keep');
+    }
+    return 'keep';
+  }
+
+  attemptBehavioursOnTerrainCollision(proj) {
+    // Behaviors (split/pierce/fork/chain) are enemy-only in this sim. Terrain only reflects.
+    return 'keep';
+  }
+
+  step(dt) {
+    const now = this.time;
+
+    // Seal accumulation (Salvo mechanic) or Barrage cooldown (non-Salvo)
+    if (this.running) {
+      this.regenBoss(dt);
+      const salvoEnabled = this.config.salvoSupport !== false;
+
+      if (this.usesCastCadence()) {
+        // Player rotation: seals still build up, but casts follow the cadence and use whatever is banked
+        if (salvoEnabled) this.accumulateSeals(dt);
+        this.stepCastCadence(now);
+      } else if (salvoEnabled) {
+        // Salvo mode: accumulate seals and cast when threshold is reached
+        this.accumulateSeals(dt);
+
+        // Cast when we have enough seals (based on salvoSealCount config)
+        // If salvoSealCount is 0, treat it as 1 for timing purposes
+        this.castAccumulator += dt;
+        const sealThreshold = this.config.salvoSealCount === 0 ? 1 : this.config.salvoSealCount;
+        while (this.castAccumulator >= 0.01 && this.currentSeals >= sealThreshold) {
+          this.castAccumulator -= 0.01;
+          this.emitCast(now);
+        }
+      } else {
+        // Non-Salvo mode: use barrage cooldown timer
+        this.barrageCooldownTimer -= dt;
+        this.castAccumulator += dt;
+
+        // Cast when cooldown expires
+        if (this.barrageCooldownTimer <= 0 && this.castAccumulator >= 0.01) {
+          this.castAccumulator -= 0.01;
+          this.emitCast(now);
+          this.barrageCooldownTimer = this.config.barrageCooldown;
+          this.recordEvent({ type: 'cooldown', remaining: this.barrageCooldownTimer });
+        }
+      }
+
+      // Process scheduled barrage repeats
+      for (let i = this.barrageCastSchedule.length - 1; i >= 0; i--) {
+        const scheduled = this.barrageCastSchedule[i];
+        if (now >= scheduled.time) {
+          // Time to emit this barrage repeat with the same angles and group IDs as the original cast
+          const barrageResult = this.emitCastProjectiles(scheduled.castId, scheduled.time, scheduled.barrageRepeatIndex, scheduled.sealCount, scheduled.angles, scheduled.instanceId, scheduled.groupIds);
+          // Add barrage repeat projectile count to instance total
+          if (this.completedCastInstances.has(scheduled.instanceId)) {
+            this.completedCastInstances.get(scheduled.instanceId).projCount += barrageResult.projCount;
+          }
+          this.barrageCastSchedule.splice(i, 1);
+        }
+      }
+    }
+
+    this.moveEntities(dt);
+
+    // Update projectiles with sub-stepped CCD (prevents tunneling at high speeds)
+    const survivors = [];
+    const gone = [];
+    const targets = this.isTargetable(this.boss) ? this.enemies : this.adds; // homing ignores a boss it can't hit
+    for (const proj of this.projectiles) {
+      if (proj.isExpired(now)) { gone.push(proj); continue; }
+      if (proj.think(dt, targets)) this.recordSteer(proj, now);
+
+      const speed = Math.hypot(proj.vx, proj.vy);
+      const totalDist = speed * dt;
+      const steps = Math.max(1, Math.ceil(totalDist / this.maxTerrainStepUnits));
+      const subdt = dt / steps;
+
+      let removed = false;
+      for (let s = 0; s < steps && !removed; s++) {
+        // CCD vs enemies within substep: move to the earliest contact, handle it, then sweep the rest of the
+        // substep (with the possibly new velocity) against the enemies not yet touched in this substep
+        let remaining = 1; // fraction of the substep still to travel
+        let touched = null;
+        while (remaining > 0) {
+          const dx = proj.vx * subdt * remaining;
+          const dy = proj.vy * subdt * remaining;
+          const sweepStart = now + s * subdt + subdt * (1 - remaining);
+          let tHit = null, enemy = null;
+          for (const e of this.enemies) {
+            if ((touched && touched.includes(e)) || !this.isTargetable(e)) continue;
+            // Sweep in the enemy's frame so a moving enemy is hit where it is at the moment of contact
+            const at = this.enemyAt(e, sweepStart);
+            const rdx = dx - e.vx * subdt * remaining; const rdy = dy - e.vy * subdt * remaining;
+            const t = sweptHitboxT(at, proj.x, proj.y, rdx, rdy, proj.radius);
+            if (t !== null && (tHit === null || t < tHit)) { tHit = t; enemy = e; }
+          }
+          if (tHit === null) {
+            proj.move(subdt * remaining);
+            break;
+          }
+          proj.x += dx * tHit;
+          proj.y += dy * tHit;
+          const collisionTime = sweepStart + subdt * remaining * tHit;
+          const enemyRes = this.handleProjectileEnemyCollision(proj, collisionTime, enemy);
+          if (enemyRes === 'remove') { removed = true; break; }
+          (touched || (touched = [])).push(enemy);
+          remaining *= 1 - tHit;
+        }
+        if (removed) break;
+
+        // Terrain collision (reflect). Use swept test against T-junction segments if applicable
+        if (this.arena instanceof TJunctionArena) {
+          // Exact TOI: moving circle vs each wall capsule (segment thickened by radius)
+          const dx = proj.vx * subdt; const dy = proj.vy * subdt;
+          const p0x = proj.x - dx, p0y = proj.y - dy;
+          let best = null;
+          for (const seg of this.arena.segments) {
+            const hit = sweptCircleSegmentTOI(p0x, p0y, dx, dy, seg.x1, seg.y1, seg.x2, seg.y2, proj.radius);
+            if (hit && hit.t >= 0 && hit.t <= 1) {
+              if (!best || hit.t < best.t) best = hit;
+            }
+          }
+          if (best) {
+            // advance to contact and reflect by provided normal
+            proj.x = p0x + dx * best.t + best.nx * (proj.radius * 1.001);
+            proj.y = p0y + dy * best.t + best.ny * (proj.radius * 1.001);
+            this.reflectProjectile(proj, best.nx, best.ny, now + (s + 1) * subdt);
+          } else {
+            // no terrain hit in substep
+          }
+        } else {
+          const hit = this.arena.collideCircle(proj.x, proj.y, proj.radius);
+          if (hit.hit) {
+            proj.x = hit.x; proj.y = hit.y;
+            if (hit.reflect) {
+              this.reflectProjectile(proj, hit.nx, hit.ny, now + (s + 1) * subdt);
+            }
+            const res = this.attemptBehavioursOnTerrainCollision(proj);
+            if (res === 'remove') { removed = true; break; }
+          }
+        }
+      }
+      if (removed) { gone.push(proj); continue; }
+
+      survivors.push(proj);
+    }
+    this.projectiles = survivors;
+    this.forgetProjectiles(gone);
+
+    // Cleanup old hit timestamps beyond the rate window
+    const cutoff = now - HIT_RATE_WINDOW_SEC;
+    while (this.hitTimestamps.length && this.hitTimestamps[0] < cutoff) {
+      this.hitTimestamps.shift();
+      this.hitDamages.shift();
+    }
+    for (const stats of this.targetStats.values()) {
+      while (stats.hitTimestamps.length && stats.hitTimestamps[0] < cutoff) {
+        stats.hitTimestamps.shift();
+        stats.hitDamages.shift();
+      }
+    }
+
+    // Check if cast instances are complete (no projectiles or pending barrage repeats from that instance remain)
+    for (const [instanceId, entry] of this.completedCastInstances) {
+      if (!entry.completed) {
+        const hasProjectilesFromInstance = this.projectiles.some(p => p.instanceId === instanceId) ||
+          this.barrageCastSchedule.some(s => s.instanceId === instanceId);
+        if (!hasProjectilesFromInstance) {
+          // All projectiles from this instance are gone, mark as complete and stop tracking it
+          entry.completed = true;
+          this.completedCastCount += 1;
+          this.recordEvent({ type: 'castComplete', t: now + dt, instanceId, hits: entry.hits, projCount: entry.projCount, groups: entry.groups.size });
+          if (this.runSink) {
+            this.runSink('cast', {
+              instanceId, t: entry.t, completedAt: now + dt, seals: entry.seals,
+              projectiles: entry.projCount, hits: entry.hits, damage: entry.damage, groups: entry.groups.size,
+            });
+          }
+          this.castHitHistory.push(entry.hits);
+          this.projPerCastHistory.push(entry.projCount);
+          this.groupsPerCastHistory.push(entry.groups.size);
+          // Keep only the last N cast histories for averaging (batch runs keep all of them)
+          const limit = this.options.castHistoryLimit;
+          if (this.castHitHistory.length > limit) {
+            this.castHitHistory.shift();
+          }
+          if (this.projPerCastHistory.length > limit) {
+            this.projPerCastHistory.shift();
+          }
+          if (this.groupsPerCastHistory.length > limit) {
+            this.groupsPerCastHistory.shift();
+          }
+          this.completedCastInstances.delete(instanceId);
+        }
+      }
+    }
+
+    // Boss and caster finish this tick's moves
+    this.finishMove(this.boss, this.bossTarget);
+    this.finishMove(this.caster, this.casterTarget);
+
+    this.time = now + dt;
+    this.sampleMetrics();
+  }
+
+  accumulateSeals(dt) {
+    this.lastSealAccumTime += dt;
+    // Calculate effective seal gain frequency with increased modifier
+    const baseSealFreq = this.config.baseSealGainFrequency;
+    const increasePercent = (this.config.increasedSealGainFrequency || 0) / 100;
+    const effectiveSealFreq = baseSealFreq * (1 + increasePercent);
+    const sealAccumInterval = 1.0 / effectiveSealFreq; // time between seals
+    while (this.lastSealAccumTime >= sealAccumInterval && this.currentSeals < this.config.maxSeals) {
+      this.lastSealAccumTime -= sealAccumInterval;
+      this.currentSeals += 1;
+      this.recordEvent({ type: 'seals', seals: this.currentSeals });
+    }
+  }
+
+  // Manual cadence: start a cast every interval; it emits (consuming the seals banked by then) after the cast time.
+  // A cast due this tick emits before the next one starts, and a zero cast time emits in the tick it starts.
+  stepCastCadence(now) {
+    const due = (t) => now + SCHEDULE_EPSILON_SEC >= t;
+    const emitIfDue = () => {
+      if (this.castEmitAt === null || !due(this.castEmitAt)) return;
+      this.castEmitAt = null;
+      this.emitCast(now);
+    };
+    emitIfDue();
+    if (due(this.nextCastAt)) {
+      const { castTime, interval } = castCadence(this.config);
+      // Keep the cadence exact, unless the schedule is stale (e.g. the mode was switched mid-run)
+      const startAt = now - this.nextCastAt > this.fixedDt ? now : this.nextCastAt;
+      this.castEmitAt = startAt + castTime;
+      this.nextCastAt = startAt + interval;
+      this.recordEvent({ type: 'castStart', t: now, emitAt: this.castEmitAt });
+      emitIfDue();
+    }
+  }
+
+  // Scripted movement for this tick (only while casting). Both movers react to where the other is at the start of
+  // the tick; walks become a velocity (the swept enemy collision uses the boss's) and end at the target.
+  moveEntities(dt) {
+    const bossNext = this.running ? this.bossMovement.update(this.boss, this.caster, this.arena, this.config, dt) : null;
+    const casterNext = this.running ? this.casterMovement.update(this.caster, this.boss, this.arena, this.config, dt) : null;
+    this.bossTarget = this.startMove(this.boss, bossNext, dt, 'bossMove');
+    this.casterTarget = this.startMove(this.caster, casterNext, dt, 'casterMove');
+  }
+
+  // Teleports jump now (and return no target); walks set the tick velocity and return their end position
+  startMove(entity, next, dt, eventType) {
+    if (next && next.teleport) {
+      entity.x = next.x; entity.y = next.y;
+      this.recordMotion(entity, eventType, true);
+      return null;
+    }
+    if (next) { entity.vx = (next.x - entity.x) / dt; entity.vy = (next.y - entity.y) / dt; }
+    this.recordMotion(entity, eventType, false);
+    return next;
+  }
+
+  finishMove(entity, target) {
+    if (target) { entity.x = target.x; entity.y = target.y; }
+    entity.vx = 0; entity.vy = 0;
+  }
+
+  // Replay: a 'bossMove'/'casterMove' node whenever that velocity changes; between nodes the entity moves in a
+  // straight line
+  recordMotion(entity, eventType, jumped) {
+    if (!this.eventSink) return;
+    const last = this.recordedVelocity[eventType];
+    if (!jumped && last && last.vx === entity.vx && last.vy === entity.vy) return;
+    this.recordedVelocity[eventType] = { vx: entity.vx, vy: entity.vy };
+    this.recordEvent({ type: eventType, x: entity.x, y: entity.y, vx: entity.vx, vy: entity.vy });
+  }
+
+  getHitsPerSec() { return this.hitTimestamps.length / HIT_RATE_WINDOW_SEC; }
+
+  // Damage actually dealt over the rate window (ranges, crits, multipliers and mitigation included)
+  getDps() { return this.hitDamages.reduce((a, b) => a + b, 0) / HIT_RATE_WINDOW_SEC; }
+
+  // Hit rate × Average Hit: what the hits would deal with no ranges, crits, multipliers or mitigation
+  getNominalDps() { return this.getHitsPerSec() * this.config.avgHit; }
+
+  // Per-enemy totals and recent rates, boss first; DPS is the damage dealt to that enemy over the rate window
+  getTargetStats() {
+    return this.enemies.map(e => {
+      const stats = this.targetStatsFor(e.id);
+      const hitsPerSec = stats.hitTimestamps.length / HIT_RATE_WINDOW_SEC;
+      const dps = stats.hitDamages.reduce((a, b) => a + b, 0) / HIT_RATE_WINDOW_SEC;
+      return { id: e.id, hits: stats.hits, damage: stats.damage, hitsPerSec, dps };
+    });
+  }
+
+  sampleMetrics() {
+    const now = this.time;
+    if (now - this.metrics.lastSampleAt < this.metrics.sampleInterval) return;
+    this.metrics.lastSampleAt = now;
+    const sample = {
+      t: now,
+      hitsTotal: this.hitsTotal,
+      hitsPerSec: this.getHitsPerSec(),
+      dps: this.getDps(),
+      totalDamage: this.totalDamage,
+      projAlive: this.projectiles.length,
+    };
+    this.metrics.samples.push(sample);
+    if (this.runSink) this.runSink('sample', { ...sample, nominalDps: this.getNominalDps(), bossLife: this.bossLife, seals: this.currentSeals });
+    // drop old samples beyond window
+    const cutoff = now - this.metrics.windowSec;
+    while (this.metrics.samples.length && this.metrics.samples[0].t < cutoff) this.metrics.samples.shift();
+  }
+}
+
+// Replay file identity; bump the version when the event format changes incompatibly
+const REPLAY_FORMAT = 'twister-replay';
+const REPLAY_VERSION = 2;
+// Recording stops by itself after this many events so a forgotten recording can't exhaust memory
+const REPLAY_MAX_EVENTS = 500000;
+
+/**
+ * Captures a core's event stream (casts, emissions, spawns, reflections, hit/block decisions, seals,
+ * positions) from begin() to finish() into a plain JSON-able replay. Projectiles move in straight lines
+ * between recorded events, so ReplayPlayer (sim-replay.js) can rebuild any instant without the PRNG.
+ */
+class ReplayRecorder {
+  constructor(core, maxEvents = REPLAY_MAX_EVENTS) {
+    this.core = core;
+    this.maxEvents = maxEvents;
+    this.events = [];
+    this.truncated = false;
+  }
+
+  begin() {
+    const core = this.core;
+    this.startTime = core.time;
+    this.startConfig = { ...core.config };
+    core.eventSink = (e) => this.push(e);
+    // Starting state, so a recording begun mid-fight still draws what is already in flight
+    core.recordEvent({ type: 'config', config: this.startConfig });
+    core.recordPositions();
+    core.recordEvent({ type: 'seals', seals: core.currentSeals });
+    core.recordLife();
+    if (core.config.salvoSupport === false) core.recordEvent({ type: 'cooldown', remaining: core.barrageCooldownTimer });
+    for (const p of core.projectiles) core.recordSpawn(p, 'live');
+    for (const [groupKey, lockedUntil] of core.castTargetLocks) {
+      if (lockedUntil > core.time) core.recordEvent({ type: 'lock', group: groupKey.slice(0, groupKey.lastIndexOf('|')), lockedUntil });
+    }
+  }
+
+  push(event) {
+    if (this.events.length >= this.maxEvents) {
+      this.truncated = true;
+      this.detach();
+      return;
+    }
+    this.events.push(event);
+  }
+
+  detach() {
+    if (this.core.eventSink) this.endTime = this.core.time;
+    this.core.eventSink = null;
+  }
+
+  finish() {
+    this.detach();
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.startConfig.seed,
+      config: this.startConfig,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      truncated: this.truncated,
+      events: this.events,
+    };
+  }
+}
+
+// Run log file identity; bump the version when the record layout changes incompatibly
+const RUN_LOG_FORMAT = 'twister-run';
+const RUN_LOG_VERSION = 1;
+// Like REPLAY_MAX_EVENTS: recording stops by itself after this many records (samples, casts and hits together)
+const RUN_LOG_MAX_RECORDS = 1000000;
+
+/**
+ * Keeps every metric sample, completed cast and registered hit from begin() to finish(), untrimmed by the
+ * chart window or the cast history limit, for export to spreadsheets and notebooks. Casts are logged when
+ * their last projectile is gone, so a cast still in flight at finish() is not in the log.
+ */
+class RunRecorder {
+  constructor(core, maxRecords = RUN_LOG_MAX_RECORDS) {
+    this.core = core;
+    this.maxRecords = maxRecords;
+    this.samples = [];
+    this.casts = [];
+    this.hits = [];
+    this.count = 0;
+    this.truncated = false;
+  }
+
+  begin() {
+    this.startTime = this.core.time;
+    this.startConfig = { ...this.core.config };
+    this.core.runSink = (kind, record) => this.push(kind, record);
+  }
+
+  push(kind, record) {
+    if (this.count >= this.maxRecords) {
+      this.truncated = true;
+      this.detach();
+      return;
+    }
+    this.count += 1;
+    if (kind === 'sample') this.samples.push(record);
+    else if (kind === 'cast') this.casts.push(record);
+    else this.hits.push(record);
+  }
+
+  detach() {
+    if (this.core.runSink) this.endTime = this.core.time;
+    this.core.runSink = null;
+  }
+
+  finish() {
+    this.detach();
+    return {
+      format: RUN_LOG_FORMAT,
+      version: RUN_LOG_VERSION,
+      seed: this.startConfig.seed,
+      config: this.startConfig,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      truncated: this.truncated,
+      samples: this.samples,
+      casts: this.casts,
+      hits: this.hits,
+    };
+  }
+}
+
+// Floats per projectile in a snapshot: x, y, radius, barrageRepeatIndex, onCooldown (0/1)
+const PROJECTILE_SNAPSHOT_STRIDE = 5;
+
+/**
+ * Message-driven wrapper around a SimulationCore. The page talks to it the same way whether it runs
+ * in a Web Worker (sim-worker.js) or in-page as a fallback: commands in, snapshots out through `post`.
+ * Every command answers with a snapshot; metric samples are sent as deltas since the previous snapshot.
+ */
+class SimController {
+  constructor(post) {
+    this.post = post; // (msg, transferList?) => void
+    this.core = new SimulationCore();
+    this.generation = 0; // bumps on reset so the page can drop its copy of the samples
+    this.lastSentSampleT = -Infinity;
+    this.recorder = null;
+    this.runRecorder = null;
+  }
+
+  handle(msg) {
+    const core = this.core;
+    let advanced = false;
+    switch (msg.type) {
+      case 'init':
+        this.finishRecording();
+        this.finishRunRecording();
+        core.options = { ...core.options, ...(msg.options || {}) };
+        core.setConfig(msg.config);
+        core.setPositions(msg.positions);
+        core.metrics.windowSec = msg.windowSec || core.metrics.windowSec;
+        core.reset();
+        this.resetSamples();
+        break;
+      case 'config': {
+        if (msg.stop) core.running = false;
+        const reseeded = { ...DEFAULT_CONFIG, ...msg.config }.seed !== core.config.seed;
+        // A new seed resets the core (see setConfig): as on 'reset', hand over the recordings first
+        if (reseeded) {
+          this.finishRecording();
+          this.finishRunRecording();
+        }
+        core.setConfig(msg.config);
+        if (reseeded) this.resetSamples();
+        break;
+      }
+      case 'positions':
+        core.setPositions(msg.positions);
+        break;
+      case 'windowSec':
+        core.metrics.windowSec = msg.windowSec;
+        break;
+      case 'start':
+        core.start();
+        break;
+      case 'stop':
+        core.stop();
+        break;
+      case 'reset':
+        // A recording can't span a rewind of the clock; hand over what was captured so far
+        this.finishRecording();
+        this.finishRunRecording();
+        core.reset();
+        this.resetSamples();
+        break;
+      case 'advance':
+        if (msg.budgetMs) {
+          // "Max" speed: as many physics steps as fit in the wall-clock budget
+          const deadline = Date.now() + msg.budgetMs;
+          while (Date.now() < deadline) core.advance(core.fixedDt * 10);
+        } else {
+          core.advance(msg.dt);
+        }
+        advanced = true;
+        break;
+      case 'step':
+        for (let i = 0; i < msg.ticks; i++) core.step(core.fixedDt);
+        advanced = true;
+        break;
+      case 'record':
+        if (msg.on && !this.recorder) {
+          this.recorder = new ReplayRecorder(core);
+          this.recorder.begin();
+        } else if (!msg.on) {
+          this.finishRecording();
+        }
+        break;
+      case 'recordRun':
+        if (msg.on && !this.runRecorder) {
+          this.runRecorder = new RunRecorder(core);
+          this.runRecorder.begin();
+        } else if (!msg.on) {
+          this.finishRunRecording();
+        }
+        break;
+      default:
+        return;
+    }
+    const snap = this.snapshot(advanced);
+    this.post(snap, [snap.projectiles.buffer]);
+  }
+
+  // Posts the finished replay as its own message; no-op when not recording
+  finishRecording() {
+    if (!this.recorder) return;
+    const replay = this.recorder.finish();
+    this.recorder = null;
+    this.post({ type: 'replay', replay });
+  }
+
+  // Posts the run log as its own message; no-op when not recording
+  finishRunRecording() {
+    if (!this.runRecorder) return;
+    const log = this.runRecorder.finish();
+    this.runRecorder = null;
+    this.post({ type: 'runLog', log });
+  }
+
+  resetSamples() {
+    this.generation += 1;
+    this.lastSentSampleT = -Infinity;
+  }
+
+  snapshot(advanced) {
+    const core = this.core;
+    const projectiles = new Float32Array(core.projectiles.length * PROJECTILE_SNAPSHOT_STRIDE);
+    core.projectiles.forEach((p, i) => {
+      const o = i * PROJECTILE_SNAPSHOT_STRIDE;
+      projectiles[o] = p.x;
+      projectiles[o + 1] = p.y;
+      projectiles[o + 2] = p.radius;
+      projectiles[o + 3] = p.barrageRepeatIndex;
+      projectiles[o + 4] = core.isOnCooldown(p) ? 1 : 0;
+    });
+    const samples = core.metrics.samples.filter(s => s.t > this.lastSentSampleT);
+    if (samples.length) this.lastSentSampleT = samples[samples.length - 1].t;
+    return {
+      type: 'snapshot',
+      advanced,
+      generation: this.generation,
+      time: core.time,
+      running: core.running,
+      currentSeals: core.currentSeals,
+      barrageCooldownTimer: core.barrageCooldownTimer,
+      nextCastIn: core.running && core.usesCastCadence() ? Math.max(0, core.nextCastAt - core.time) : null,
+      caster: { x: core.caster.x, y: core.caster.y },
+      boss: { x: core.boss.x, y: core.boss.y },
+      adds: core.adds.map(a => ({ id: a.id, x: a.x, y: a.y, r: a.r })),
+      projectiles,
+      hitsTotal: core.hitsTotal,
+      totalDamage: core.totalDamage,
+      hitsPerSec: core.getHitsPerSec(),
+      dps: core.getDps(),
+      nominalDps: core.getNominalDps(),
+      bossLife: core.bossLife,
+      bossLifeMax: core.config.bossLife,
+      bossUntargetable: !core.isTargetable(core.boss) && core.killTime === null,
+      killTime: core.killTime,
+      damageStats: { ...core.damageStats, counts: core.damageStats.counts.slice() },
+      targets: core.getTargetStats(),
+      castHitHistory: core.castHitHistory.slice(),
+      projPerCastHistory: core.projPerCastHistory.slice(),
+      groupsPerCastHistory: core.groupsPerCastHistory.slice(),
+      samples,
+      recording: !!this.recorder,
+      recordingTruncated: !!(this.recorder && this.recorder.truncated),
+      runRecording: !!this.runRecorder,
+      runRecordingTruncated: !!(this.runRecorder && this.runRecorder.truncated),
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SimulationCore, SimController, ReplayRecorder, RunRecorder, Projectile, Entity, BossMovement, CasterMovement, Wander, SeededRandom, randomSeed,
+    castCadence, measuredBarrageWindow, tableBarrageWindow, barrageRepeatSpacing, barrageTimingWindow, mitigateDamage, maxHitDamage,
+    Arena, CircleArena, SquareArena, TJunctionArena, createArena,
+    sweptCircleHitT, sweptCircleSegmentTOI, closestPointsBetweenSegments, closestPointOnSegment,
+    createHitbox, hitboxOverlaps, sweptHitboxT, hitboxExtent,
+    clamp, distance, DEFAULT_CONFIG, ARENA_RADIUS_UNITS, CHAIN_RANGE_UNITS, ADD_COLOR, PROJECTILE_SNAPSHOT_STRIDE,
+    HIT_RATE_WINDOW_SEC, METRIC_SAMPLE_INTERVAL_SEC, NON_SALVO_COOLDOWN_SEC, REPLAY_FORMAT, REPLAY_VERSION, RUN_LOG_FORMAT, RUN_LOG_VERSION, HIT_GROUP_POLICIES,
+    DAMAGE_HISTOGRAM_BINS,
+  };
+}
@@ -0,0 +1,290 @@
+/* Replay playback: rebuilds the simulation state at any instant of a recorded replay (see ReplayRecorder in
+ * sim-core.js) from its event log, without stepping physics or rolling the PRNG. Loaded after sim-core.js by the
+ * page, or via require() in Node. */
+
+const replayDeps = typeof SimulationCore === 'function'
+  ? { REPLAY_FORMAT, REPLAY_VERSION, PROJECTILE_SNAPSHOT_STRIDE, HIT_RATE_WINDOW_SEC, NON_SALVO_COOLDOWN_SEC, DEFAULT_CONFIG, DAMAGE_HISTOGRAM_BINS, clamp, maxHitDamage, createHitbox }
+  : require('./sim-core.js');
+
+// Index of the last item with item.t <= t in a list sorted by t, or -1
+function lastIndexAtOrBefore(list, t) {
+  let lo = 0, hi = list.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].t <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+function lastAtOrBefore(list, t) {
+  const i = lastIndexAtOrBefore(list, t);
+  return i >= 0 ? list[i] : null;
+}
+
+// Hit group of a spawn/hit/lock event; version 1 files only carried the boss lock key (group|boss)
+function eventGroup(e) {
+  if (e.group !== undefined) return e.group;
+  return e.groupKey.slice(0, e.groupKey.lastIndexOf('|'));
+}
+
+// Events worth listing in a timeline log (the rest only drive state)
+const REPLAY_LOG_TYPES = new Set(['castStart', 'cast', 'emit', 'reflect', 'hit', 'castComplete', 'bossPhase', 'kill']);
+
+class ReplayPlayer {
+  constructor(replay) {
+    if (!replay || replay.format !== replayDeps.REPLAY_FORMAT || !Array.isArray(replay.events)) {
+      throw new Error('Not a Twister replay file');
+    }
+    if (replay.version > replayDeps.REPLAY_VERSION) {
+      throw new Error(`Replay version ${replay.version} is newer than this simulator supports (${replayDeps.REPLAY_VERSION})`);
+    }
+    this.replay = replay;
+    this.startTime = replay.startTime || 0;
+    this.endTime = replay.endTime !== undefined ? replay.endTime : this.startTime;
+    this.duration = Math.max(0, this.endTime - this.startTime);
+
+    this.tracks = new Map(); // projectile id -> { start, end, group, barrageRepeatIndex, r, nodes: [{t, x, y, vx, vy}] }, a node per heading change
+    this.hits = []; // registered hits, with running totals
+    this.targetHits = new Map(); // enemy id -> registered hits, with running totals for that enemy
+    this.locks = new Map(); // hit group -> [{t, lockedUntil}], lockedUntil being the latest lock on any target
+    this.seals = [];
+    this.cooldowns = [];
+    this.lives = []; // boss life after each change (see SimulationCore.recordLife)
+    this.positions = [];
+    // Straight-line tracks for the boss and caster: positions events (at rest) and bossMove/casterMove events
+    this.motion = { boss: [], caster: [] };
+    this.configs = [];
+    this.completes = [];
+    this.log = [];
+
+    // Stable sort keeps same-time events in recording order (spawns before the hits that remove them)
+    const events = replay.events.slice().sort((a, b) => a.t - b.t);
+    let hitsTotal = 0, totalDamage = 0;
+    for (const e of events) {
+      switch (e.type) {
+        case 'spawn':
+          this.tracks.set(e.id, {
+            id: e.id,
+            start: e.t,
+            end: e.expiresAt,
+            group: eventGroup(e),
+            barrageRepeatIndex: e.barrageRepeatIndex,
+            r: e.r,
+            nodes: [{ t: e.t, x: e.x, y: e.y, vx: e.vx, vy: e.vy }],
+          });
+          break;
+        case 'reflect':
+        case 'steer':
+        case 'hit': {
+          const track = this.tracks.get(e.id);
+          if (track) {
+            track.nodes.push({ t: e.t, x: e.x, y: e.y, vx: e.vx, vy: e.vy });
+            if (e.removed) track.end = Math.min(track.end, e.t);
+          }
+          if (e.type === 'hit' && e.registered) {
+            hitsTotal += 1;
+            totalDamage += e.damage;
+            this.hits.push({ t: e.t, hitsTotal, totalDamage, damage: e.damage, crit: !!e.crit });
+            const target = e.target || 'boss';
+            if (!this.targetHits.has(target)) this.targetHits.set(target, []);
+            const list = this.targetHits.get(target);
+            const prev = list[list.length - 1];
+            list.push({ t: e.t, hitsTotal: (prev ? prev.hitsTotal : 0) + 1, totalDamage: (prev ? prev.totalDamage : 0) + e.damage });
+            this.addLock(eventGroup(e), e.t, e.lockedUntil);
+          }
+          break;
+        }
+        case 'lock': this.addLock(eventGroup(e), e.t, e.lockedUntil); break;
+        case 'seals': this.seals.push(e); break;
+        case 'cooldown': this.cooldowns.push(e); break;
+        case 'life': this.lives.push(e); break;
+        case 'positions':
+          this.positions.push(e);
+          this.motion.boss.push({ t: e.t, x: e.boss.x, y: e.boss.y, vx: 0, vy: 0 });
+          this.motion.caster.push({ t: e.t, x: e.caster.x, y: e.caster.y, vx: 0, vy: 0 });
+          break;
+        case 'bossMove': this.motion.boss.push(e); break;
+        case 'casterMove': this.motion.caster.push(e); break;
+        case 'config': this.configs.push(e); break;
+        case 'castComplete': this.completes.push(e); break;
+      }
+      if (REPLAY_LOG_TYPES.has(e.type)) this.log.push(e);
+    }
+    // Tracks in spawn order so a scan can stop at the first one not yet born
+    this.trackList = [...this.tracks.values()].sort((a, b) => a.start - b.start);
+  }
+
+  // Locks keep a running maximum, so the last one at or before t says whether any target is still locked
+  addLock(group, t, lockedUntil) {
+    if (!this.locks.has(group)) this.locks.set(group, []);
+    const list = this.locks.get(group);
+    const prev = list[list.length - 1];
+    list.push({ t, lockedUntil: prev ? Math.max(prev.lockedUntil, lockedUntil) : lockedUntil });
+  }
+
+  clampTime(t) { return replayDeps.clamp(t, this.startTime, this.endTime); }
+
+  configAt(t) {
+    const e = lastAtOrBefore(this.configs, t) || this.configs[0];
+    return e ? e.config : (this.replay.config || replayDeps.DEFAULT_CONFIG);
+  }
+
+  isLocked(group, t) {
+    const lock = lastAtOrBefore(this.locks.get(group) || [], t);
+    return !!lock && t < lock.lockedUntil;
+  }
+
+  // Live projectile tracks at t, with their interpolated positions
+  forEachProjectileAt(t, fn) {
+    for (const track of this.trackList) {
+      if (track.start > t) break;
+      if (t > track.end) continue;
+      const node = lastAtOrBefore(track.nodes, t);
+      const dt = t - node.t;
+      fn(track, node.x + node.vx * dt, node.y + node.vy * dt);
+    }
+  }
+
+  // Same shape as SimController.snapshot(), so the page draws a replay exactly like a live run
+  snapshotAt(time) {
+    const t = this.clampTime(time);
+    const cfg = this.configAt(t);
+    const stride = replayDeps.PROJECTILE_SNAPSHOT_STRIDE;
+    const flat = [];
+    this.forEachProjectileAt(t, (track, x, y) => {
+      flat.push(x, y, track.r, track.barrageRepeatIndex, this.isLocked(track.group, t) ? 1 : 0);
+    });
+    const projectiles = Float32Array.from(flat);
+
+    const hitIdx = lastIndexAtOrBefore(this.hits, t);
+    const lastHit = hitIdx >= 0 ? this.hits[hitIdx] : null;
+    const windowStartIdx = lastIndexAtOrBefore(this.hits, t - replayDeps.HIT_RATE_WINDOW_SEC);
+    const hitsPerSec = (hitIdx - windowStartIdx) / replayDeps.HIT_RATE_WINDOW_SEC;
+    const windowDamage = (lastHit ? lastHit.totalDamage : 0) - (windowStartIdx >= 0 ? this.hits[windowStartIdx].totalDamage : 0);
+
+    const pos = lastAtOrBefore(this.positions, t) || this.positions[0] || { caster: { x: 0, y: 0 }, boss: { x: 0, y: 0 } };
+    const rateWindow = replayDeps.HIT_RATE_WINDOW_SEC;
+    const targets = [{ id: 'boss' }, ...(pos.adds || [])].map(({ id }) => {
+      const list = this.targetHits.get(id) || [];
+      const idx = lastIndexAtOrBefore(list, t);
+      const startIdx = lastIndexAtOrBefore(list, t - rateWindow);
+      const damage = idx >= 0 ? list[idx].totalDamage : 0;
+      return {
+        id,
+        hits: idx >= 0 ? list[idx].hitsTotal : 0,
+        damage,
+        hitsPerSec: (idx - startIdx) / rateWindow,
+        dps: (damage - (startIdx >= 0 ? list[startIdx].totalDamage : 0)) / rateWindow,
+      };
+    });
+    const seals = lastAtOrBefore(this.seals, t);
+    const cooldown = lastAtOrBefore(this.cooldowns, t);
+    const completes = this.completes.slice(0, lastIndexAtOrBefore(this.completes, t) + 1).slice(-10);
+    const life = lastAtOrBefore(this.lives, t);
+    return {
+      type: 'snapshot',
+      time: t,
+      running: true,
+      currentSeals: seals ? seals.seals : 0,
+      barrageCooldownTimer: cooldown ? Math.max(0, cooldown.remaining - (t - cooldown.t)) : 0,
+      caster: this.entityAt('caster', t, pos.caster),
+      boss: {
+        ...this.entityAt('boss', t, pos.boss),
+        r: cfg.bossRadius || pos.boss.r,
+        hitbox: replayDeps.createHitbox({ ...replayDeps.DEFAULT_CONFIG, ...cfg }),
+      },
+      adds: pos.adds || [],
+      projectiles,
+      projectileCount: projectiles.length / stride,
+      hitsTotal: lastHit ? lastHit.hitsTotal : 0,
+      totalDamage: lastHit ? lastHit.totalDamage : 0,
+      hitsPerSec,
+      dps: windowDamage / replayDeps.HIT_RATE_WINDOW_SEC,
+      nominalDps: hitsPerSec * cfg.avgHit,
+      damageStats: this.damageStatsAt(hitIdx, cfg),
+      bossLife: this.bossLifeAt(life, t, cfg),
+      bossLifeMax: cfg.bossLife || 0,
+      bossUntargetable: !!life && life.killTime === null && t < life.untargetableUntil,
+      killTime: life ? life.killTime : null,
+      targets,
+      castHitHistory: completes.map(c => c.hits),
+      projPerCastHistory: completes.map(c => c.projCount),
+      groupsPerCastHistory: completes.map(c => c.groups),
+    };
+  }
+
+  // Damage-per-hit histogram of the hits up to index `lastIdx`, binned like SimulationCore.damageStats
+  damageStatsAt(lastIdx, cfg) {
+    const bins = replayDeps.DAMAGE_HISTOGRAM_BINS;
+    const binWidth = replayDeps.maxHitDamage({ ...replayDeps.DEFAULT_CONFIG, ...cfg }) / bins;
+    const stats = { hits: 0, crits: 0, sum: 0, min: Infinity, max: 0, binWidth, counts: new Array(bins).fill(0) };
+    for (let i = 0; i <= lastIdx; i++) {
+      const { damage, crit } = this.hits[i];
+      stats.hits += 1;
+      if (crit) stats.crits += 1;
+      stats.sum += damage;
+      stats.min = Math.min(stats.min, damage);
+      stats.max = Math.max(stats.max, damage);
+      stats.counts[Math.min(bins - 1, Math.floor(damage / binWidth))] += 1;
+    }
+    return stats;
+  }
+
+  // Life from the last recorded change plus the regeneration since, capped at the maximum
+  bossLifeAt(life, t, cfg) {
+    if (!life) return cfg.bossLife || 0;
+    if (!life.regenerating || life.killTime !== null || !(cfg.bossRegen > 0)) return life.life;
+    return Math.min(cfg.bossLife, life.life + cfg.bossRegen * (t - life.t));
+  }
+
+  entityAt(key, t, fallback) {
+    const node = lastAtOrBefore(this.motion[key], t);
+    if (!node) return { x: fallback.x, y: fallback.y };
+    return { x: node.x + node.vx * (t - node.t), y: node.y + node.vy * (t - node.t) };
+  }
+
+  // Chart samples over the whole replay, matching the live metric samples
+  series(interval) {
+    const samples = [];
+    for (let t = this.startTime; t <= this.endTime + 1e-9; t += interval) {
+      const snap = this.snapshotAt(t);
+      samples.push({
+        t,
+        hitsTotal: snap.hitsTotal,
+        hitsPerSec: snap.hitsPerSec,
+        dps: snap.dps,
+        totalDamage: snap.totalDamage,
+        projAlive: snap.projectileCount,
+      });
+    }
+    return samples;
+  }
+
+  // The last `count` log-worthy events at or before t (oldest first)
+  eventsUpTo(t, count) {
+    const end = lastIndexAtOrBefore(this.log, t) + 1;
+    return this.log.slice(Math.max(0, end - count), end);
+  }
+}
+
+// One-line description of a log event for the timeline panel
+function describeReplayEvent(e) {
+  const at = `${e.t.toFixed(3)}s`;
+  switch (e.type) {
+    case 'castStart': return `${at} cast started, emits at ${e.emitAt.toFixed(3)}s`;
+    case 'cast': return `${at} cast #${e.instanceId} (${e.seals} seals, ${e.barrageCount} barrage repeats)`;
+    case 'emit': return `${at} cast #${e.instanceId} repeat ${e.barrageRepeatIndex}: ${e.projCount} projectiles`;
+    case 'reflect': return `${at} proj ${e.id} reflected (${e.deviationDeg >= 0 ? '+' : ''}${e.deviationDeg.toFixed(1)}°)`;
+    case 'hit':
+      if (!e.registered) return `${at} proj ${e.id} blocked by ${e.target}: group ${eventGroup(e)} on cooldown until ${e.lockedUntil.toFixed(3)}s`;
+      return `${at} proj ${e.id} ${e.crit ? 'crit' : 'hit'} ${e.target} for ${Math.round(e.damage)} (${e.behaviour})`;
+    case 'castComplete': return `${at} cast #${e.instanceId} complete: ${e.hits} hits / ${e.projCount} projectiles`;
+    case 'bossPhase': return `${at} boss at ${e.threshold}% life: untargetable until ${e.until.toFixed(3)}s`;
+    case 'kill': return `${at} boss killed`;
+    default: return `${at} ${e.type}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReplayPlayer, describeReplayEvent, lastIndexAtOrBefore };
+}
@@ -0,0 +1,6 @@
+/* Web Worker entry: runs the simulation off the main thread. The page sends SimController commands
+ * and draws the snapshots that come back (see createSimBackend in main.js). */
+importScripts('./sim-core.js');
+
+const controller = new SimController((msg, transfer) => self.postMessage(msg, transfer || []));
+self.onmessage = (e) => controller.handle(e.data);